@@ -0,0 +1,93 @@
+// base64url (the encoding of json web tokens) of utf-8 strings, in plain js: Buffer is node's
+// only, and neither btoa/atob nor TextEncoder are available in every react native version
+const ALPHABET =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+function toUtf8Bytes(string) {
+  const bytes = [];
+  for (const character of string) {
+    const codePoint = character.codePointAt(0);
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(
+        0xe0 | (codePoint >> 12),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f),
+      );
+    } else {
+      bytes.push(
+        0xf0 | (codePoint >> 18),
+        0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f),
+      );
+    }
+  }
+  return bytes;
+}
+
+function fromUtf8Bytes(bytes) {
+  let string = '';
+  for (let i = 0; i < bytes.length; ) {
+    const byte = bytes[i];
+    const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : byte >= 0xc0 ? 2 : 1;
+    let codePoint = length === 1 ? byte : byte & (0xff >> (length + 1));
+    for (let j = 1; j < length; j++) {
+      codePoint = (codePoint << 6) | (bytes[i + j] & 0x3f);
+    }
+    string += String.fromCodePoint(codePoint);
+    i += length;
+  }
+  return string;
+}
+
+// without padding, like in tokens
+function encodeBase64Url(string) {
+  const bytes = toUtf8Bytes(string);
+  let encoded = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk =
+      (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const characters = Math.min(bytes.length - i, 3) + 1;
+    for (let j = 0; j < characters; j++) {
+      encoded += ALPHABET[(chunk >> (18 - j * 6)) & 0x3f];
+    }
+  }
+  return encoded;
+}
+
+// also accepts standard base64, with or without padding
+function decodeBase64Url(encoded) {
+  const sextets = encoded
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .split('')
+    .map((character) => {
+      const sextet = ALPHABET.indexOf(character);
+      if (sextet === -1) {
+        throw new Error(`invalid base64url character: ${character}`);
+      }
+      return sextet;
+    });
+  const bytes = [];
+  for (let i = 0; i < sextets.length; i += 4) {
+    const chunk = [0, 1, 2, 3].reduce(
+      (bits, j) => (bits << 6) | (sextets[i + j] || 0),
+      0,
+    );
+    const length = Math.min(sextets.length - i, 4) - 1;
+    for (let j = 0; j < length; j++) {
+      bytes.push((chunk >> (16 - j * 8)) & 0xff);
+    }
+  }
+  return fromUtf8Bytes(bytes);
+}
+
+module.exports = {
+  encodeBase64Url,
+  decodeBase64Url,
+};
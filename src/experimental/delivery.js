@@ -0,0 +1,61 @@
+const { InvalidArgumentError } = require('./errors');
+
+// schedules the delivery of a listener's payloads. with throttleMs, at most one delivery per
+// window: the first payload right away, and the latest one that arrived during the window at its
+// end. with debounceMs, the latest payload once none arrived for that long. with coalesce, all the
+// payloads of a window are delivered together as an array (those of the same tick when there's
+// no window), rather than only the latest one
+function createDelivery(send, { throttleMs, debounceMs, coalesce, operation }) {
+  if (throttleMs && debounceMs) {
+    throw new InvalidArgumentError({
+      operation,
+      reason: "throttleMs and debounceMs can't be combined",
+    });
+  }
+  if (!throttleMs && !debounceMs && !coalesce) {
+    return { push: send, cancel: () => {} };
+  }
+
+  let pending = [];
+  let timeout = null;
+
+  const flush = () => {
+    timeout = null;
+    if (!pending.length) {
+      return; // a throttle window ended quietly
+    }
+
+    const payloads = pending;
+    pending = [];
+    if (throttleMs) {
+      timeout = setTimeout(flush, throttleMs);
+    }
+    send(coalesce ? payloads : payloads[payloads.length - 1]);
+  };
+
+  return {
+    push(payload) {
+      pending = coalesce ? [...pending, payload] : [payload];
+      if (debounceMs) {
+        clearTimeout(timeout);
+        timeout = setTimeout(flush, debounceMs);
+      } else if (!timeout) {
+        if (throttleMs) {
+          flush();
+        } else {
+          timeout = setTimeout(flush, 0);
+        }
+      }
+    },
+    // drops the pending payloads
+    cancel() {
+      clearTimeout(timeout);
+      timeout = null;
+      pending = [];
+    },
+  };
+}
+
+module.exports = {
+  createDelivery,
+};
@@ -0,0 +1,170 @@
+// all errors thrown by FirebaseService have a stable code to branch on, the name of the operation
+// that failed and (when relevant) the full path it was called with, possibly redacted
+class FirebaseServiceError extends Error {
+  constructor(message, { code, operation, path, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.operation = operation;
+    this.path = path;
+    this.cause = cause;
+  }
+}
+
+// e.g. FirebaseService.listenOnPath: not connected! (path=/rooms/1)
+const formatMessage = (operation, problem, path) =>
+  `FirebaseService.${operation}: ${problem}` +
+  (path === undefined ? '' : ` (path=${path})`);
+
+class NotConnectedError extends FirebaseServiceError {
+  constructor({ operation, path }) {
+    super(formatMessage(operation, 'not connected!', path), {
+      code: 'not-connected',
+      operation,
+      path,
+    });
+  }
+}
+
+class TerminatedError extends FirebaseServiceError {
+  constructor({ operation, name }) {
+    super(
+      `Can't connect a firebase service after termination, please use a different instance (name=${name})`,
+      { code: 'terminated', operation },
+    );
+  }
+}
+
+class PermissionDeniedError extends FirebaseServiceError {
+  constructor({ operation, path, cause }) {
+    super(formatMessage(operation, 'permission denied', path), {
+      code: 'permission-denied',
+      operation,
+      path,
+      cause,
+    });
+  }
+}
+
+class AuthenticationError extends FirebaseServiceError {
+  constructor({ operation, cause }) {
+    super(formatMessage(operation, `authentication failed (${cause.code})`), {
+      code: 'authentication-failed',
+      operation,
+      cause,
+    });
+  }
+}
+
+class NetworkError extends FirebaseServiceError {
+  constructor({ operation, path, cause }) {
+    super(formatMessage(operation, 'network error', path), {
+      code: 'network-error',
+      operation,
+      path,
+      cause,
+    });
+  }
+}
+
+class ConnectTimeoutError extends FirebaseServiceError {
+  constructor({ operation, timeoutMs }) {
+    super(formatMessage(operation, `timed out after ${timeoutMs}ms`), {
+      code: 'connect-timeout',
+      operation,
+    });
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class InvalidQueryError extends FirebaseServiceError {
+  constructor({ operation, reason }) {
+    super(formatMessage(operation, `invalid query, ${reason}`), {
+      code: 'invalid-query',
+      operation,
+    });
+  }
+}
+
+// for arguments other than queries, e.g. a missing path
+class InvalidArgumentError extends FirebaseServiceError {
+  constructor({ operation, reason }) {
+    super(formatMessage(operation, `invalid argument, ${reason}`), {
+      code: 'invalid-argument',
+      operation,
+    });
+  }
+}
+
+class TransactionConflictError extends FirebaseServiceError {
+  constructor({ operation, path, retries, cause }) {
+    super(
+      formatMessage(
+        operation,
+        `gave up after ${retries} retries due to conflicting writes`,
+        path,
+      ),
+      { code: 'transaction-conflict', operation, path, cause },
+    );
+    this.retries = retries;
+  }
+}
+
+// errors are [{ path, message }], one per problem found by the validators of the value's paths
+class ValidationError extends FirebaseServiceError {
+  constructor({ operation, path, errors }) {
+    super(
+      formatMessage(
+        operation,
+        `invalid value, ${errors
+          .map((error) => `${error.path} ${error.message}`)
+          .join(', ')}`,
+        path,
+      ),
+      { code: 'validation-failed', operation, path },
+    );
+    this.errors = errors;
+  }
+}
+
+// maps an error of the firebase sdk onto the matching FirebaseServiceError; errors that don't
+// match any of them are returned as is
+function mapFirebaseError(error, { operation, path }) {
+  if (!error || error instanceof FirebaseServiceError) {
+    return error;
+  }
+
+  const code = String(error.code || '');
+  const details = { operation, path, cause: error };
+  if (
+    code === 'PERMISSION_DENIED' ||
+    /^permission_denied/i.test(error.message)
+  ) {
+    return new PermissionDeniedError(details);
+  }
+  if (code === 'auth/network-request-failed' || code === 'NETWORK_ERROR') {
+    return new NetworkError(details);
+  }
+  if (code.startsWith('auth/')) {
+    return new AuthenticationError(details);
+  }
+  if (error.message === 'maxretry') {
+    return new TransactionConflictError({ ...details, retries: 25 }); // the sdk's own limit
+  }
+  return error;
+}
+
+module.exports = {
+  FirebaseServiceError,
+  NotConnectedError,
+  TerminatedError,
+  PermissionDeniedError,
+  AuthenticationError,
+  NetworkError,
+  ConnectTimeoutError,
+  InvalidQueryError,
+  InvalidArgumentError,
+  TransactionConflictError,
+  ValidationError,
+  mapFirebaseError,
+};
@@ -1,76 +1,405 @@
-let firebase;
+const { applyQuery } = require('./query');
+const { createObservers } = require('./observers');
+const { ServerClock } = require('./server-clock');
+const { Paginator } = require('./paginator');
+const { createValidators } = require('./validation');
+const { createDelivery } = require('./delivery');
+const { encodeBase64Url } = require('./base64url');
+const { isObject, splitPath } = require('./paths');
+const { mapFirebaseError, ...errors } = require('./errors');
+
+const {
+  NotConnectedError,
+  TerminatedError,
+  ConnectTimeoutError,
+  InvalidArgumentError,
+  TransactionConflictError,
+  ValidationError,
+} = errors;
+
 let uuid;
 
+const ConnectionState = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  OFFLINE: 'offline',
+  TERMINATED: 'terminated',
+};
+
 const getFirebaseAppInstance = () => {
   const fbApp = require('firebase/compat/app');
   return fbApp.default ? fbApp.default : fbApp;
 };
 
+// each strategy signs in with the auth key passed to connect (or returned by its provider)
+const authStrategies = {
+  customToken: (auth, token) => auth.signInWithCustomToken(token),
+  anonymous: (auth) => auth.signInAnonymously(),
+  emailPassword: (auth, { email, password }) =>
+    auth.signInWithEmailAndPassword(email, password),
+  none: () => Promise.resolve(), // already authenticated, or no auth is needed
+};
+
+// errors that retrying with the same options and auth key can't fix
+const FATAL_AUTH_ERRORS = [
+  'auth/invalid-custom-token',
+  'auth/custom-token-mismatch',
+  'auth/invalid-credential',
+  'auth/invalid-email',
+  'auth/user-disabled',
+  'auth/user-not-found',
+  'auth/wrong-password',
+  'auth/operation-not-allowed',
+  'auth/invalid-api-key',
+  'auth/app-not-authorized',
+];
+
+function isTransientError(error) {
+  const code = String((error && error.code) || '');
+  return !FATAL_AUTH_ERRORS.includes(code) && !code.startsWith('app/');
+}
+
+const DEFAULT_RETRY = {
+  attempts: 1,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  jitter: 0,
+  retryOn: isTransientError,
+};
+
+const DEFAULT_LISTENER_WARNINGS = {
+  maxPerPathEvent: 10,
+  maxTotal: Infinity,
+};
+
 class FirebaseService {
   atomicServerTime = false;
 
-  constructor(name, { atomicServerTime = false } = {}) {
+  // authStrategy is one of 'customToken' | 'anonymous' | 'emailPassword' | 'none', or a
+  // function that signs in given the auth instance and the auth key passed to connect.
+  // errors thrown (or rejected) by listener callbacks go to onListenerError(error, { path, event,
+  // key }) if given, and are logged with logger.error otherwise.
+  // redactPath(path) is applied to the paths that errors carry (e.g. to hide user ids).
+  // firebase replaces the firebase (compat) namespace the service uses, e.g. with the in-memory
+  // one of ./in-memory-firebase in tests.
+  // listenerWarnings: { maxPerPathEvent, maxTotal } logs a warning with logger.warn once there
+  // are more listeners than that for the same path and event, or in total, which usually means
+  // they leak (e.g. a screen subscribing whenever it's shown); false turns the warnings off.
+  // instrumentation is { onOperationStart(operation), onOperationEnd(operation) } (or a list of
+  // them, e.g. ./metrics' aggregator), called for connect, getValuesAtPath,
+  // getFirebaseServerTime, listener registrations and every event delivered to a listener with
+  // { operation, path, event, startedAt }, and once it ends also with { durationMs, outcome:
+  // 'success' | 'error', error, size } - size being the approximate size of what was read.
+  // cache: { ttlMs } (or true) answers getValuesAtPath without a query from the latest value of
+  // an active value listener (without a query) on the path or an ancestor of it, and with ttlMs,
+  // from a previous read of the path or an ancestor of it for that long. cached reads are
+  // invalidated by the service's writes to related paths, disconnect and terminate
+  constructor(
+    name,
+    {
+      atomicServerTime = false,
+      firebase = null,
+      authStrategy = 'customToken',
+      logger = console,
+      onListenerError = null,
+      redactPath = (path) => path,
+      listenerWarnings = {},
+      instrumentation = null,
+      cache = false,
+    } = {},
+  ) {
     uuid = require('uuid/v4');
     name = name || uuid();
-    require('firebase/compat/database');
-    require('firebase/compat/auth');
-    firebase = getFirebaseAppInstance();
+    if (!firebase) {
+      require('firebase/compat/database');
+      require('firebase/compat/auth');
+    }
+    this._firebase = firebase || getFirebaseAppInstance();
     this.name = name;
     this.listeningOnRefs = [];
+    this._subscriptions = new Set();
     this.db = null;
     this.terminated = false;
     this._initializationInProgress = Promise.resolve();
     this.atomicServerTime = atomicServerTime;
+    this._signIn = getAuthStrategy(authStrategy);
+    this._logger = logger;
+    this._logError = (error) => this._logger.error(error);
+    this._onListenerError = onListenerError;
+    this._redactPath = redactPath;
+    this._listenerWarnings = {
+      ...DEFAULT_LISTENER_WARNINGS,
+      ...(listenerWarnings === false
+        ? { maxPerPathEvent: Infinity, maxTotal: Infinity }
+        : listenerWarnings),
+    };
+    this._instrumentation = [].concat(instrumentation || []);
+    this._cache = cache && { ttlMs: 0, ...(cache === true ? {} : cache) };
+    this._cachedReads = new Map(); // path -> { snapshot, expiresAt }
+    this._connectionState = ConnectionState.OFFLINE;
+    this._connectionStateObservers = createObservers(this._logError);
+    this._connectedInfo = null;
+    this._presenceTrackers = new Set();
+    this._authKey = null;
+    this._authKeyProvider = null;
+    this._stopWatchingAuthState = null;
+    this._reauthentication = null;
+    this._tokenRefreshObservers = createObservers(this._logError);
+    this._listenerCancelledObservers = createObservers(this._logError);
+    this._app = null; // kept between attempts until signed in
+    this._appOptions = null;
+    this._retryWait = null;
+    this._emulator = null;
+    this._serverClock = null;
+    this._scratchPaths = new Set();
+    this._validators = createValidators();
   }
 
-  async connect(options, authKey) {
+  // authKey is what the auth strategy signs in with (a custom token by default), or a (possibly
+  // async) function providing it. with a provider, the service signs in again with a fresh key
+  // whenever the auth state is lost or a listener is cancelled due to a permission error, and
+  // re-attaches the cancelled listeners.
+  // retry: { attempts, baseDelayMs, maxDelayMs, jitter, retryOn } retries a failed initialization
+  // with exponential backoff; jitter (0..1) is the fraction of each delay that is randomized, and
+  // retryOn(error) decides which errors are transient (by default, all but fatal auth errors).
+  // timeoutMs fails an attempt that takes longer with a ConnectTimeoutError (which is retried).
+  // emulator: { databaseHost, databasePort, authHost } connects to the local emulators instead,
+  // and is read from FIREBASE_DATABASE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST when not
+  // given (emulator: false ignores them). the auth emulator accepts unsigned custom tokens, so
+  // with it the auth key can also be the token's claims, e.g. { uid: 'some-user' }.
+  // connecting again with another auth key (e.g. a refreshed token) signs in with it, keeping
+  // the service's listeners
+  async connect(options, authKey, { retry, timeoutMs, emulator } = {}) {
     this._assertInstanceAlive();
+    if (this._connectionState === ConnectionState.OFFLINE) {
+      this._setConnectionState(ConnectionState.CONNECTING);
+    }
+    const endOperation = this._startOperation('connect');
 
     await this._initializationInProgress;
     this._initializationInProgress = new Promise(
       (resolve) => (this._initializationCompleted = resolve),
     );
 
-    return Promise.resolve()
+    const connection = Promise.resolve()
       .then(() => {
         if (this.db) {
           this._initializationCompleted();
-          return this.db.goOnline();
+          const signedIn =
+            authKey === this._authKey ? null : this._signInAgain(authKey);
+          return Promise.resolve(signedIn).then(() => this.db.goOnline());
         }
 
-        return Promise.resolve()
-          .then(() => firebase.initializeApp(options, this.name))
-          .then((app) =>
-            app
-              .auth()
-              .signInWithCustomToken(authKey)
-              .then(() => {
-                this._initializationCompleted();
-                if (this.terminated) {
-                  return app.delete();
-                }
-                this.db = app.database();
-              }),
-          );
+        this._authKey = authKey;
+        this._authKeyProvider = typeof authKey === 'function' ? authKey : null;
+        this._emulator = getEmulatorConfig(emulator);
+        return this._initializeWithRetry(options, authKey, {
+          ...DEFAULT_RETRY,
+          ...retry,
+          timeoutMs,
+        });
       })
       .catch((error) => {
         this._initializationCompleted();
+        this._setConnectionState(ConnectionState.OFFLINE);
+        throw this._mapError(error, 'connect');
+      });
+    return this._instrument(connection, endOperation);
+  }
+
+  _initializeWithRetry(options, authKey, retry, attempt = 1) {
+    return this._initializeWithTimeout(options, authKey, retry.timeoutMs).catch(
+      (error) => {
+        if (
+          attempt >= retry.attempts ||
+          this.terminated ||
+          !retry.retryOn(error)
+        ) {
+          throw error;
+        }
+
+        return this._waitBeforeRetry(getRetryDelay(attempt, retry)).then(() => {
+          if (this.terminated) {
+            // just like terminating while waiting for auth, connect() completes without connecting
+            const app = this._app;
+            this._initializationCompleted();
+            this._app = null;
+            return app && app.delete();
+          }
+          return this._initializeWithRetry(
+            options,
+            authKey,
+            retry,
+            attempt + 1,
+          );
+        });
+      },
+    );
+  }
+
+  _initializeWithTimeout(options, authKey, timeoutMs) {
+    const attempt = { timedOut: false };
+    if (!timeoutMs) {
+      return this._initialize(options, authKey, attempt);
+    }
+
+    let timeout;
+    const timedOut = new Promise((resolve, reject) => {
+      timeout = setTimeout(() => {
+        attempt.timedOut = true;
+        reject(new ConnectTimeoutError({ operation: 'connect', timeoutMs }));
+      }, timeoutMs);
+    });
+    return Promise.race([
+      this._initialize(options, authKey, attempt),
+      timedOut,
+    ]).then(
+      () => clearTimeout(timeout),
+      (error) => {
+        clearTimeout(timeout);
         throw error;
+      },
+    );
+  }
+
+  _initialize(options, authKey, attempt) {
+    return Promise.resolve()
+      .then(() => this._getApp(options))
+      .then((app) => {
+        // a retry (or the next connect) signs in again with the same app, since firebase doesn't
+        // allow initializing another app with the same name
+        this._app = app;
+        return Promise.resolve(this._authKeyProvider ? authKey() : authKey)
+          .then((key) => this._signInWithKey(app.auth(), key))
+          .then(() => {
+            if (attempt.timedOut) {
+              return; // the app is kept, and signed in again by the next attempt
+            }
+            this._initializationCompleted();
+            // unless terminate() already deleted it
+            const kept = this._app === app;
+            this._app = null;
+            if (this.terminated) {
+              return kept && app.delete();
+            }
+            this.db = app.database();
+            this._listenOnConnectedInfo();
+            this._watchAuthState(app);
+          });
       });
   }
 
+  // the app kept by a failed attempt is reused, unless connect is called with other options,
+  // in which case it's deleted first (freeing its name for the new one)
+  _getApp(options) {
+    if (!this._app) {
+      return this._createApp(options);
+    }
+    if (JSON.stringify(this._appOptions) === JSON.stringify(options)) {
+      return this._app;
+    }
+    const app = this._app;
+    this._app = null;
+    return app.delete().then(() => this._createApp(options));
+  }
+
+  // the emulators have to be set before the database or auth are used
+  _createApp(options) {
+    this._appOptions = options;
+    const app = this._firebase.initializeApp(options, this.name);
+    if (this._emulator) {
+      const { databaseHost, databasePort, authHost } = this._emulator;
+      if (databaseHost) {
+        app.database().useEmulator(databaseHost, databasePort);
+      }
+      if (authHost) {
+        app.auth().useEmulator(authHost);
+      }
+    }
+    return app;
+  }
+
+  _signInAgain(authKey) {
+    this._authKey = authKey;
+    this._authKeyProvider = typeof authKey === 'function' ? authKey : null;
+    return Promise.resolve(this._authKeyProvider ? authKey() : authKey).then(
+      (key) => this._signInWithKey(this.db.app.auth(), key),
+    );
+  }
+
+  _signInWithKey(auth, key) {
+    if (
+      this._emulator &&
+      this._signIn === authStrategies.customToken &&
+      key !== null &&
+      typeof key === 'object'
+    ) {
+      key = createUnsignedToken(key);
+    }
+    return this._signIn(auth, key);
+  }
+
+  _waitBeforeRetry(delayMs) {
+    return new Promise((resolve) => {
+      const timeout = setTimeout(() => {
+        this._retryWait = null;
+        resolve();
+      }, delayMs);
+      this._retryWait = { timeout, resolve };
+    });
+  }
+
   disconnect() {
+    // the server marks tracked presence as offline by itself once the connection is closed
+    this._presenceTrackers.forEach((tracker) => tracker.cancel());
+
+    if (this._serverClock) {
+      this._serverClock.stop();
+      this._serverClock = null;
+    }
+    this._cachedReads.clear();
+
     if (this.db) {
-      this.listeningOnRefs.forEach((r) => r.off());
+      this._subscriptions.forEach(({ ref, event, handler }) =>
+        ref.off(event, handler),
+      );
+      this._subscriptions.clear();
+      this.listeningOnRefs.forEach(({ delivery }) => delivery.cancel());
       this.listeningOnRefs.length = 0;
+      this._setConnectionState(ConnectionState.OFFLINE);
       this.db.goOffline();
     }
   }
 
   terminate() {
     this.terminated = true;
+    if (this._retryWait) {
+      clearTimeout(this._retryWait.timeout);
+      this._retryWait.resolve();
+      this._retryWait = null;
+    }
+    this._setConnectionState(ConnectionState.TERMINATED);
+    this._connectionStateObservers.clear();
+    this._removeScratchPaths();
     this.disconnect();
 
+    if (this._connectedInfo) {
+      this._connectedInfo.ref.off('value', this._connectedInfo.handler);
+      this._connectedInfo = null;
+    }
+
+    if (this._stopWatchingAuthState) {
+      this._stopWatchingAuthState();
+      this._stopWatchingAuthState = null;
+    }
+
+    // the app of a connect that failed (or is still signing in)
+    if (this._app) {
+      const app = this._app;
+      this._app = null;
+      return app.delete();
+    }
+
     if (this.db) {
       try {
         return this.db.app.delete();
@@ -80,106 +409,1086 @@ class FirebaseService {
     }
   }
 
+  // one of 'connecting' | 'connected' | 'offline' | 'terminated'
+  getConnectionState() {
+    return this._connectionState;
+  }
+
+  // returns a function that stops observing
+  onConnectionStateChange(callback) {
+    return this._connectionStateObservers.add(callback);
+  }
+
+  // called with { reason } whenever the service signed in again using the auth key provider;
+  // returns a function that stops observing
+  onTokenRefresh(callback) {
+    return this._tokenRefreshObservers.add(callback);
+  }
+
+  // called with (error, { path, event }) whenever firebase cancels one of the service's
+  // listeners, e.g. when security rules no longer allow reading its path; returns a function
+  // that stops observing
+  onListenerCancelled(callback) {
+    return this._listenerCancelledObservers.add(callback);
+  }
+
+  // validates the values at the paths matching pattern, e.g. /rooms/$roomId/players/$playerId,
+  // with validator(value, { path, params }) - see ./validation. it applies to values read by
+  // getValuesAtPath and listeners (including values nested in what they read), which then get
+  // transform(value, { path, params }) if given, and to written values (but not to writes below
+  // the pattern's paths, e.g. of a single field). when a value is invalid, onFailure decides
+  // what reads do: 'throw' a ValidationError (reported as a listener error for listeners),
+  // 'drop' the invalid value, leaving the rest of what was read (when that's the whole value,
+  // getValuesAtPath returns null and listeners get no event) or 'deliver' it as is, with
+  // validationErrors added to listener payloads. dropped values, and invalid values
+  // getValuesAtPath returns, are logged with logger.warn.
+  // writes of an invalid value are always rejected with a ValidationError.
+  // returns a function that removes the validator
+  registerValidator(pattern, validator, { onFailure, transform } = {}) {
+    return this._validators.add(pattern, validator, { onFailure, transform });
+  }
+
   getFirebaseServerTime(serverTimePath) {
-    if (!this.db) {
-      throw new Error(
-        `FirebaseService.getFirebaseServerTime: not connected! (path=${getPathNameHint(
+    this._assertConnected('getFirebaseServerTime', serverTimePath);
+    const endOperation = this._startOperation('getFirebaseServerTime', {
+      path: serverTimePath,
+    });
+
+    if (this.atomicServerTime) {
+      return this._instrument(
+        this._mapErrors(
+          this.db
+            .ref('/.info/serverTimeOffset')
+            .once('value')
+            .then((data) => data.val() + Date.now()),
+          'getFirebaseServerTime',
           serverTimePath,
-        )})`,
+        ),
+        endOperation,
       );
     }
 
-    if (this.atomicServerTime) {
-      return this.db
-        .ref('/.info/serverTimeOffset')
-        .once('value')
-        .then((data) => data.val() + Date.now());
+    const ref = this.db.ref(serverTimePath);
+    return this._instrument(
+      this._mapErrors(
+        ref
+          .set(this._firebase.database.ServerValue.TIMESTAMP)
+          .then(() => ref.once('value').then((snapshot) => snapshot.val())),
+        'getFirebaseServerTime',
+        serverTimePath,
+      ),
+      endOperation,
+    );
+  }
+
+  // measures the server time NTP-style, by writing ServerValue.TIMESTAMP to path samples times:
+  // each sample's offset is the server timestamp minus the local time halfway through its round
+  // trip, and samples whose round trip took over 1.5 times the median are discarded as outliers.
+  // the result is that of the fastest sample, with confidence being the fraction of samples kept.
+  // note that by default the samples overwrite the value at path, which should be dedicated to
+  // it. with scratch, they're written to path/<service name> instead, which is removed on
+  // terminate (or by the server, once the connection is lost), leaving path's other data as is.
+  // path can't be the root, which would overwrite the whole database
+  measureServerTime({ path, scratch = false, samples = 5 } = {}) {
+    this._assertConnected('measureServerTime', path);
+    const fail = (reason) =>
+      Promise.reject(
+        new InvalidArgumentError({ operation: 'measureServerTime', reason }),
+      );
+    if (typeof path !== 'string' || !splitPath(path).length) {
+      return fail(`path must be a path below the root (got ${path})`);
+    }
+    if (!Number.isInteger(samples) || samples <= 0) {
+      return fail(`samples must be a positive integer (got ${samples})`);
     }
 
-    const ref = this.db.ref(serverTimePath);
-    return ref
-      .set(firebase.database.ServerValue.TIMESTAMP)
-      .then(() => ref.once('value').then((snapshot) => snapshot.val()));
+    const samplePath = scratch
+      ? `${path.replace(/\/$/, '')}/${this.name}`
+      : path;
+    const ref = this.db.ref(samplePath);
+    if (scratch) {
+      this._scratchPaths.add(samplePath);
+    }
+
+    const takeSample = () => {
+      this._invalidateCache([samplePath]);
+      const sentAt = Date.now();
+      return ref.set(this._firebase.database.ServerValue.TIMESTAMP).then(() => {
+        const receivedAt = Date.now();
+        return ref.once('value').then((snapshot) => ({
+          offset: snapshot.val() - (sentAt + receivedAt) / 2,
+          rtt: receivedAt - sentAt,
+        }));
+      });
+    };
+
+    const measurement = Promise.resolve()
+      .then(() => scratch && ref.onDisconnect().remove())
+      .then(() =>
+        Array.from({ length: samples }).reduce(
+          (taken) =>
+            taken.then((results) =>
+              takeSample().then((sample) => [...results, sample]),
+            ),
+          Promise.resolve([]),
+        ),
+      )
+      .then((results) => {
+        const rtts = results.map(({ rtt }) => rtt).sort((a, b) => a - b);
+        const median = rtts[Math.floor(rtts.length / 2)];
+        const kept = results.filter(({ rtt }) => rtt <= median * 1.5);
+        const candidates = kept.length ? kept : results;
+        const { offset, rtt } = candidates.reduce(
+          (best, sample) => (sample.rtt < best.rtt ? sample : best),
+          candidates[0],
+        );
+        return {
+          serverTime: Date.now() + offset,
+          offset,
+          rtt,
+          confidence: kept.length / results.length,
+        };
+      });
+
+    return this._mapErrors(measurement, 'measureServerTime', path);
   }
 
-  getValuesAtPath({ path }) {
-    if (!this.db) {
-      throw new Error(
-        `FirebaseService.getValuesAsPath: not connected! (path=${getPathNameHint(
+  // a clock for reading the server time synchronously, e.g. many times a second: now(), offset,
+  // synced and onChange((serverTime, offset) => ...). it's shared by all the callers, and stops
+  // following the server on disconnect or terminate
+  serverClock() {
+    this._assertConnected('serverClock');
+
+    if (!this._serverClock) {
+      this._serverClock = new ServerClock(this.db, { onError: this._logError });
+    }
+    return this._serverClock;
+  }
+
+  getValuesAtPath({ path, ordered, ...query }) {
+    this._assertConnected('getValuesAtPath', path);
+    const endOperation = this._startOperation('getValuesAtPath', { path });
+
+    const cacheable = this._cache && !Object.keys(query).length;
+    const cachedSnapshot = cacheable && this._getCachedSnapshot(path);
+    const snapshotRead = cachedSnapshot
+      ? Promise.resolve(cachedSnapshot)
+      : applyQuery(this.db.ref(path), query, 'getValuesAtPath')
+          .once('value')
+          .then((snapshot) => {
+            if (cacheable && this._cache.ttlMs) {
+              this._cachedReads.set(path, {
+                snapshot,
+                expiresAt: Date.now() + this._cache.ttlMs,
+              });
+            }
+            return snapshot;
+          });
+
+    const read = this._mapErrors(
+      snapshotRead.then((snapshot) => {
+        const { value, errors, onFailure } = this._validators.apply(
           path,
-        )})`,
-      );
+          snapshot.val(),
+        );
+        if (errors.length) {
+          const error = new ValidationError({
+            operation: 'getValuesAtPath',
+            path: this._errorPath(path),
+            errors,
+          });
+          if (onFailure === 'throw') {
+            throw error;
+          }
+          this._logger.warn(error);
+          if (value === undefined) {
+            return ordered ? [] : null;
+          }
+        }
+        return getSnapshotValue(snapshot, { ordered }, value);
+      }),
+      'getValuesAtPath',
+      path,
+    );
+    return this._instrument(read, endOperation, { measure: true });
+  }
+
+  // pages through the children of path: { orderBy, pageSize, direction, cursor, live, onChange,
+  // onCancel } - see ./paginator
+  paginate(path, options) {
+    this._assertConnected('paginate', path);
+    return new Paginator(this, path, options);
+  }
+
+  setValueAtPath(path, value) {
+    this._assertConnected('setValueAtPath', path);
+    this._invalidateCache([path]);
+    return this._mapErrors(
+      this._validateWrite('setValueAtPath', path, { [path]: value }) ||
+        this.db.ref(path).set(value),
+      'setValueAtPath',
+      path,
+    );
+  }
+
+  updateAtPath(path, values) {
+    this._assertConnected('updateAtPath', path);
+    this._invalidateCache([path]);
+    return this._mapErrors(
+      this._validateWrite(
+        'updateAtPath',
+        path,
+        mapKeys(values, (key) => `${path}/${key}`),
+      ) || this.db.ref(path).update(values),
+      'updateAtPath',
+      path,
+    );
+  }
+
+  // updates are keyed by path relative to the root, e.g. { '/a': 1, '/b/c': 2 },
+  // and are applied atomically - either all of them are written or none is
+  updateAtPaths(updates) {
+    const paths = Object.keys(updates || {}).join(',');
+    this._assertConnected('updateAtPaths', paths);
+    this._invalidateCache(Object.keys(updates || {}));
+    return this._mapErrors(
+      this._validateWrite('updateAtPaths', paths, updates) ||
+        this.db.ref().update(updates),
+      'updateAtPaths',
+      paths,
+    );
+  }
+
+  pushToPath(path, value) {
+    this._assertConnected('pushToPath', path);
+    this._invalidateCache([path]);
+    const ref = this.db.ref(path).push();
+    return this._mapErrors(
+      this._validateWrite('pushToPath', path, {
+        [`${path}/${ref.key}`]: value,
+      }) || ref.set(value).then(() => ref.key),
+      'pushToPath',
+      path,
+    );
+  }
+
+  removeAtPath(path) {
+    this._assertConnected('removeAtPath', path);
+    this._invalidateCache([path]);
+    return this._mapErrors(this.db.ref(path).remove(), 'removeAtPath', path);
+  }
+
+  // runs a read-modify-write on the value at path; updateFn may be invoked more than once
+  // (whenever the value changed on the server in the meantime) and aborts by returning undefined.
+  // firebase first invokes it with the value it has cached, which is null for a path it has no
+  // data of, so the invocation with the server's value that follows isn't counted as a retry.
+  // firebase doesn't tell whether that null was a guess: it's taken as the real value when a
+  // listenOnPath value listener of this service keeps path synced, but when only some other
+  // listener does (e.g. one on a ref) and the value is really null, retries can be one low.
+  // an error thrown by updateFn aborts the transaction and rejects with it
+  runTransaction(path, updateFn, { maxRetries, applyLocally = true } = {}) {
+    this._assertConnected('runTransaction', path);
+    this._invalidateCache([path]);
+
+    const synced = !!this._getSyncingSubscription(path);
+    let invocations = 0;
+    let guessed = false;
+    let retriesExhausted = false;
+    let updateError = null;
+    const getRetries = () => Math.max(invocations - 1 - (guessed ? 1 : 0), 0);
+    const transactionUpdate = (currentValue) => {
+      invocations++;
+      if (invocations === 1 && currentValue === null && !synced) {
+        guessed = true;
+      }
+      if (maxRetries !== undefined && getRetries() > maxRetries) {
+        retriesExhausted = true;
+        return undefined;
+      }
+      try {
+        return updateFn(currentValue);
+      } catch (error) {
+        updateError = error;
+        return undefined;
+      }
+    };
+
+    return this._mapErrors(
+      this.db
+        .ref(path)
+        .transaction(transactionUpdate, undefined, applyLocally)
+        .then(({ committed, snapshot }) => {
+          if (updateError) {
+            throw updateError;
+          }
+          if (retriesExhausted) {
+            throw new TransactionConflictError({
+              operation: 'runTransaction',
+              path: this._errorPath(path),
+              retries: maxRetries,
+            });
+          }
+
+          return { committed, value: snapshot.val(), retries: getRetries() };
+        }),
+      'runTransaction',
+      path,
+    );
+  }
+
+  // marks path as online whenever the connection is (re)established, and has the server mark it
+  // as offline once the connection drops. with multipleDevices, every connection adds its own
+  // child under path (with onlineValue) that is removed on disconnect, so the user is online as
+  // long as path has children. returns a function that stops tracking and marks path as offline
+  trackPresence(
+    path,
+    { onlineValue = true, offlineValue = null, multipleDevices = false } = {},
+  ) {
+    this._assertConnected('trackPresence', path);
+
+    let ref = null;
+    const markOnline = () => {
+      ref = multipleDevices ? this.db.ref(path).push() : this.db.ref(path);
+      const onDisconnect = multipleDevices
+        ? ref.onDisconnect().remove()
+        : ref.onDisconnect().set(offlineValue);
+      return onDisconnect
+        .then(() => {
+          this._invalidateCache([path]);
+          return ref.set(onlineValue);
+        })
+        .catch(this._logError);
+    };
+
+    const stopObservingConnection = this.onConnectionStateChange((state) => {
+      if (state === ConnectionState.CONNECTED) {
+        markOnline();
+      }
+    });
+    const tracker = {
+      cancel: () => {
+        stopObservingConnection();
+        this._presenceTrackers.delete(tracker);
+      },
+    };
+    this._presenceTrackers.add(tracker);
+
+    if (this._connectionState === ConnectionState.CONNECTED) {
+      markOnline();
     }
 
-    return this.db
-      .ref(path)
-      .once('value')
-      .then((snapshot) => snapshot.val());
+    return () => {
+      if (!this._presenceTrackers.has(tracker)) {
+        return Promise.resolve();
+      }
+
+      tracker.cancel();
+      if (!ref) {
+        return Promise.resolve();
+      }
+      return ref
+        .onDisconnect()
+        .cancel()
+        .then(() => {
+          this._invalidateCache([path]);
+          return multipleDevices ? ref.remove() : ref.set(offlineValue);
+        });
+    };
+  }
+
+  // what the service listens on: [{ path, query, event, registeredAt }], in registration order
+  getActiveListeners() {
+    return this.listeningOnRefs.map(({ path, query, event, registeredAt }) => ({
+      path,
+      query: { ...query },
+      event,
+      registeredAt,
+    }));
   }
 
   listenOnRef(ref, options) {
-    return this._listenOnRefWithQuery(ref, options);
+    return this._listenOnRefWithQuery(ref, options, 'listenOnRef');
   }
 
   listenOnPath(path, options) {
-    if (!this.db) {
-      throw new Error(
-        `FirebaseService.listenOnPath: not connected! (path=${getPathNameHint(
+    this._assertConnected('listenOnPath', path);
+
+    const ref = this.db.ref(path);
+    return this._listenOnRefWithQuery(ref, options, 'listenOnPath');
+  }
+
+  // options is a declarative query: { orderBy: 'key' | 'value' | childPath, startAt, startAfter,
+  // endAt, endBefore, equalTo, limitToFirst, limitToLast }, plus { ordered: true } to receive the
+  // value as an array of { key, value } entries in the order of the query, and
+  // onCancel(error, { path, event }) for when firebase cancels the listener (e.g. due to rules).
+  // for paths that change often, { throttleMs } or { debounceMs } limit how often the callback
+  // is called (with the latest payload, the last one always delivered), and coalesceChildEvents
+  // calls it with an array of all the payloads of child events in the window instead - see
+  // ./delivery. pending payloads are dropped once the listener is removed.
+  // listenOnPath listeners with the same path, query and event share a single firebase listener,
+  // and a value listener added to one that already got a value gets it right away
+  _listenOnRefWithQuery(
+    ref,
+    {
+      ordered,
+      onCancel,
+      throttleMs,
+      debounceMs,
+      coalesceChildEvents,
+      ...query
+    } = {},
+    operation,
+  ) {
+    const path = getRefPath(ref);
+    ref = applyQuery(ref, query, operation);
+
+    return {
+      when: (event) => {
+        let onError = null;
+        const chain = {
+          // handles errors of this listener's callback instead of the service-level handler
+          onError: (errorHandler) => {
+            onError = errorHandler;
+            return chain;
+          },
+          // returns a function that removes this specific listener
+          call: (callback) => {
+            const reportError = (error, key) =>
+              this._reportListenerError(error, onError, { path, event, key });
+            const delivery = createDelivery(
+              (payload) => {
+                // a batch of coalesced child events has no single key
+                const key = Array.isArray(payload) ? undefined : payload.key;
+                const endOperation = this._startOperation('listenerEvent', {
+                  path,
+                  event,
+                });
+                let size;
+                try {
+                  // serializing every event is only worth it when someone's measuring
+                  if (this._instrumentation.length) {
+                    size = []
+                      .concat(payload)
+                      .reduce(
+                        (total, { value }) => total + getApproximateSize(value),
+                        0,
+                      );
+                  }
+                  const returnValue = callback(payload);
+                  if (returnValue && typeof returnValue.then === 'function') {
+                    returnValue.then(
+                      () => endOperation({ size }),
+                      (error) => {
+                        endOperation({ size, error });
+                        reportError(error, key);
+                      },
+                    );
+                  } else {
+                    endOperation({ size });
+                  }
+                } catch (e) {
+                  endOperation({ size, error: e });
+                  reportError(e, key);
+                }
+              },
+              {
+                throttleMs,
+                debounceMs,
+                coalesce: coalesceChildEvents && event.startsWith('child_'),
+                operation,
+              },
+            );
+
+            const handler = (snapshot) => {
+              try {
+                const { value, errors, onFailure } = this._validators.apply(
+                  event === 'value' ? path : `${path}/${snapshot.key}`,
+                  snapshot.val(),
+                );
+                if (errors.length && onFailure !== 'deliver') {
+                  const error = new ValidationError({
+                    operation,
+                    path: this._errorPath(path),
+                    errors,
+                  });
+                  if (onFailure === 'throw') {
+                    reportError(error, snapshot.key);
+                    return;
+                  }
+                  this._logger.warn(error);
+                  if (value === undefined) {
+                    return;
+                  }
+                }
+
+                delivery.push({
+                  // these are the fields available in the callback from a listener
+                  key: snapshot.key,
+                  value: getSnapshotValue(snapshot, { ordered }, value),
+                  ref: snapshot.ref, // a ref that can be used in listenOnRef
+                  exists: snapshot.exists(),
+                  childrenCount: snapshot.numChildren(),
+                  priority: snapshot.getPriority(),
+                  ...(errors.length &&
+                    onFailure === 'deliver' && { validationErrors: errors }),
+                });
+              } catch (e) {
+                reportError(e, snapshot.key);
+              }
+            };
+
+            const listener = {
+              ref,
+              event,
+              handler,
+              delivery,
+              path,
+              query,
+              operation,
+              onCancel,
+              registeredAt: Date.now(),
+            };
+            const endOperation = this._startOperation(operation, {
+              path,
+              event,
+            });
+            this.listeningOnRefs.push(listener);
+            this._subscribe(listener);
+            endOperation();
+            this._warnAboutListenerLeaks(listener);
+            return () => this._removeListener(listener);
+          },
+        };
+        return chain;
+      },
+    };
+  }
+
+  // attaches the listener to the firebase listener of its path, query and event, adding one
+  // if there's none. child_added listeners aren't shared, since firebase starts each of them
+  // with an event per existing child, which a shared one couldn't replay. nor are listenOnRef
+  // listeners, whose ref may have a query of its own or belong to another database
+  _subscribe(listener) {
+    const { ref, event, path, query, operation } = listener;
+    const key = JSON.stringify([
+      path,
+      event,
+      Object.keys(query)
+        .sort()
+        .map((name) => [name, query[name]]),
+    ]);
+    const shared = operation === 'listenOnPath' && event !== 'child_added';
+
+    let subscription = shared
+      ? [...this._subscriptions].find((candidate) => candidate.key === key)
+      : null;
+    if (subscription) {
+      subscription.listeners.push(listener);
+      listener.subscription = subscription;
+      if (subscription.lastSnapshot) {
+        listener.handler(subscription.lastSnapshot);
+      }
+      return;
+    }
+
+    subscription = {
+      key: shared ? key : null,
+      ref,
+      event,
+      path,
+      query,
+      operation,
+      listeners: [listener],
+      lastSnapshot: null, // the last value, for value listeners
+    };
+    subscription.handler = (snapshot) => {
+      subscription.reattached = false;
+      if (event === 'value') {
+        subscription.lastSnapshot = snapshot;
+      }
+      [...subscription.listeners].forEach((consumer) =>
+        consumer.handler(snapshot),
+      );
+    };
+    subscription.cancel = (error) =>
+      this._onSubscriptionCancelled(subscription, error);
+    listener.subscription = subscription;
+    this._subscriptions.add(subscription);
+    ref.on(event, subscription.handler, subscription.cancel);
+  }
+
+  // a snapshot of path from the cache: that of an active value listener on path or an ancestor
+  // of it, or else that of an unexpired previous read of path or an ancestor of it. only
+  // listenOnPath listeners are known to have no query, since a listenOnRef ref may have its own
+  _getCachedSnapshot(path) {
+    const subscription = this._getSyncingSubscription(path);
+    if (subscription) {
+      return getChildSnapshot(
+        subscription.lastSnapshot,
+        getRelativePath(subscription.path, path),
+      );
+    }
+
+    const now = Date.now();
+    let cachedSnapshot = null;
+    this._cachedReads.forEach(({ snapshot, expiresAt }, cachedPath) => {
+      if (expiresAt <= now) {
+        this._cachedReads.delete(cachedPath);
+      } else if (
+        !cachedSnapshot &&
+        getRelativePath(cachedPath, path) !== null
+      ) {
+        cachedSnapshot = getChildSnapshot(
+          snapshot,
+          getRelativePath(cachedPath, path),
+        );
+      }
+    });
+    return cachedSnapshot;
+  }
+
+  // an active value listener without a query on path or an ancestor of it, which has already
+  // received data, so that firebase knows the value of path locally
+  _getSyncingSubscription(path) {
+    return [...this._subscriptions].find(
+      (candidate) =>
+        candidate.operation === 'listenOnPath' &&
+        candidate.event === 'value' &&
+        candidate.lastSnapshot &&
+        !candidate.cancelled &&
+        !Object.keys(candidate.query).length &&
+        getRelativePath(candidate.path, path) !== null,
+    );
+  }
+
+  // drops the cached reads of the written paths, their ancestors and their descendants
+  _invalidateCache(writtenPaths) {
+    this._cachedReads.forEach((_, cachedPath) => {
+      if (
+        writtenPaths.some(
+          (path) =>
+            getRelativePath(cachedPath, path) !== null ||
+            getRelativePath(path, cachedPath) !== null,
+        )
+      ) {
+        this._cachedReads.delete(cachedPath);
+      }
+    });
+  }
+
+  // tells the instrumentation that an operation started; returns a function to call once it
+  // ends, with { error } if it failed and { size } of what it read
+  _startOperation(operation, { path, event } = {}) {
+    if (!this._instrumentation.length) {
+      return () => {};
+    }
+
+    const started = { operation, path, event, startedAt: Date.now() };
+    this._notifyInstrumentation('onOperationStart', started);
+    return ({ error, size } = {}) =>
+      this._notifyInstrumentation('onOperationEnd', {
+        ...started,
+        durationMs: Date.now() - started.startedAt,
+        outcome: error ? 'error' : 'success',
+        error,
+        size,
+      });
+  }
+
+  _notifyInstrumentation(hook, operation) {
+    this._instrumentation
+      .filter((instrumentation) => instrumentation[hook])
+      .forEach((instrumentation) => {
+        try {
+          instrumentation[hook](operation);
+        } catch (e) {
+          this._logError(e);
+        }
+      });
+  }
+
+  // ends the operation once promise settles; with measure, reporting the size of its value
+  _instrument(promise, endOperation, { measure = false } = {}) {
+    return promise.then(
+      (value) => {
+        endOperation({
+          size:
+            measure && this._instrumentation.length
+              ? getApproximateSize(value)
+              : undefined,
+        });
+        return value;
+      },
+      (error) => {
+        endOperation({ error });
+        throw error;
+      },
+    );
+  }
+
+  _warnAboutListenerLeaks({ path, event }) {
+    const { maxPerPathEvent, maxTotal } = this._listenerWarnings;
+    const count = this.listeningOnRefs.filter(
+      (listener) => listener.path === path && listener.event === event,
+    ).length;
+    const total = this.listeningOnRefs.length;
+
+    // each limit is warned about when crossed, rather than for every listener above it
+    if (count === maxPerPathEvent + 1) {
+      this._logger.warn(
+        `FirebaseService: ${count} listeners on ${event} events of ${this._redactPath(
           path,
-        )})`,
+        )}, they may be leaking`,
       );
     }
+    if (total === maxTotal + 1) {
+      this._logger.warn(
+        `FirebaseService: ${total} active listeners, they may be leaking`,
+      );
+    }
+  }
 
-    const ref = this.db.ref(path);
-    return this._listenOnRefWithQuery(ref, options);
+  _reportListenerError(error, onError, context) {
+    const errorHandler = onError || this._onListenerError;
+    try {
+      if (errorHandler) {
+        errorHandler(error, context);
+      } else {
+        this._logError(error);
+      }
+    } catch (e) {
+      this._logError(e);
+    }
+  }
+
+  // the actual state of the socket; a connected service goes offline when the network drops
+  // and back online once firebase manages to reconnect
+  _listenOnConnectedInfo() {
+    const ref = this.db.ref('/.info/connected');
+    const handler = (snapshot) => {
+      if (snapshot.val()) {
+        this._setConnectionState(ConnectionState.CONNECTED);
+      } else if (this._connectionState === ConnectionState.CONNECTED) {
+        this._setConnectionState(ConnectionState.OFFLINE);
+      }
+    };
+
+    ref.on('value', handler);
+    this._connectedInfo = { ref, handler };
+  }
+
+  _watchAuthState(app) {
+    this._stopWatchingAuthState = app.auth().onAuthStateChanged((user) => {
+      if (!user && this._authKeyProvider) {
+        this._reauthenticate('auth-state-lost');
+      }
+    });
   }
 
-  _listenOnRefWithQuery(ref, { orderBy, startAt } = {}) {
-    if (orderBy) {
-      ref = ref.orderByChild(orderBy);
+  _onSubscriptionCancelled(subscription, error) {
+    // a listener that is cancelled again right after being re-attached isn't fixed by a fresh
+    // token, so it isn't retried forever
+    if (
+      isPermissionDenied(error) &&
+      this._authKeyProvider &&
+      !subscription.reattached
+    ) {
+      subscription.cancelled = true;
+      subscription.cancelError = error;
+      this._reauthenticate('permission-denied');
+    } else {
+      this._cancelSubscription(subscription, error);
     }
+  }
+
+  // firebase already removed a cancelled listener, so it only has to leave the registry, along
+  // with the service's listeners that shared it
+  _cancelSubscription(subscription, error) {
+    this._subscriptions.delete(subscription);
+    subscription.listeners.forEach((listener) =>
+      this._cancelListener(listener, error),
+    );
+  }
 
-    if (startAt) {
-      ref = ref.startAt(startAt);
+  _cancelListener(listener, error) {
+    const index = this.listeningOnRefs.indexOf(listener);
+    if (index === -1) {
+      return;
     }
 
-    return {
-      when: (event) => ({
-        call: (callback) => {
-          ref.on(event, (snapshot) => {
-            try {
-              const returnValue = callback({
-                // these are the fields available in the callback from a listener
-                key: snapshot.key,
-                value: snapshot.val(),
-                ref: snapshot.ref, // a ref that can be used in listenOnRef
-              });
-              if (returnValue && typeof returnValue.catch === 'function') {
-                returnValue.catch(console.error);
-              }
-            } catch (e) {
-              console.error(e);
+    this.listeningOnRefs.splice(index, 1);
+    listener.delivery.cancel(); // nothing is delivered after onCancel
+    const { path, event, operation, onCancel } = listener;
+    const cancelError = this._mapError(error, operation, path);
+    if (onCancel) {
+      try {
+        onCancel(cancelError, { path, event });
+      } catch (e) {
+        this._logError(e);
+      }
+    }
+    this._listenerCancelledObservers.notify(cancelError, { path, event });
+  }
+
+  // concurrent triggers (e.g. several listeners cancelled at once) share a single sign-in
+  _reauthenticate(reason) {
+    if (!this._reauthentication && this.db) {
+      const auth = this.db.app.auth();
+      this._reauthentication = Promise.resolve()
+        .then(() => this._authKeyProvider())
+        .then((key) => this._signInWithKey(auth, key))
+        .then(() => {
+          if (this.terminated) {
+            return;
+          }
+
+          this._subscriptions.forEach((subscription) => {
+            if (subscription.cancelled) {
+              subscription.cancelled = false;
+              subscription.reattached = true;
+              subscription.ref.on(
+                subscription.event,
+                subscription.handler,
+                subscription.cancel,
+              );
             }
           });
+          this._tokenRefreshObservers.notify({ reason });
+        })
+        .catch((error) => {
+          this._logError(error);
+          [...this._subscriptions]
+            .filter((subscription) => subscription.cancelled)
+            .forEach((subscription) =>
+              this._cancelSubscription(subscription, subscription.cancelError),
+            );
+        })
+        .then(() => {
+          this._reauthentication = null;
+        });
+    }
 
-          this.listeningOnRefs.push(ref);
-        },
-      }),
-    };
+    return this._reauthentication;
+  }
+
+  _setConnectionState(state) {
+    if (
+      this._connectionState === state ||
+      this._connectionState === ConnectionState.TERMINATED
+    ) {
+      return;
+    }
+
+    this._connectionState = state;
+    this._connectionStateObservers.notify(state);
+  }
+
+  _removeListener(listener) {
+    const index = this.listeningOnRefs.indexOf(listener);
+    if (index === -1) {
+      return;
+    }
+
+    this.listeningOnRefs.splice(index, 1);
+    listener.delivery.cancel();
+
+    // the firebase listener is removed along with the last of the listeners sharing it
+    const { subscription } = listener;
+    subscription.listeners.splice(subscription.listeners.indexOf(listener), 1);
+    if (!subscription.listeners.length) {
+      this._subscriptions.delete(subscription);
+      subscription.ref.off(subscription.event, subscription.handler);
+    }
+  }
+
+  _assertConnected(operation, path) {
+    if (!this.db) {
+      throw new NotConnectedError({ operation, path: this._errorPath(path) });
+    }
   }
 
   _assertInstanceAlive() {
     if (this.terminated) {
-      throw new Error(
-        `Can't connect a firebase service after termination, please use a different instance (name=${this.name})`,
+      throw new TerminatedError({ operation: 'connect', name: this.name });
+    }
+  }
+
+  _mapError(error, operation, path) {
+    return mapFirebaseError(error, { operation, path: this._errorPath(path) });
+  }
+
+  _errorPath(path) {
+    return path === undefined ? undefined : this._redactPath(path);
+  }
+
+  // returns a rejected promise if any of the values, keyed by their full path, is invalid; writes
+  // are rejected regardless of the onFailure of the validators
+  _validateWrite(operation, path, valuesByPath) {
+    const errors = Object.keys(valuesByPath).reduce(
+      (all, valuePath) =>
+        all.concat(
+          this._validators.apply(valuePath, valuesByPath[valuePath], {
+            transform: false,
+          }).errors,
+        ),
+      [],
+    );
+    return (
+      errors.length > 0 &&
+      Promise.reject(
+        new ValidationError({
+          operation,
+          path: this._errorPath(path),
+          errors,
+        }),
+      )
+    );
+  }
+
+  _removeScratchPaths() {
+    if (this.db) {
+      this._scratchPaths.forEach((path) =>
+        this.db.ref(path).remove().catch(this._logError),
       );
     }
+    this._scratchPaths.clear();
+  }
+
+  _mapErrors(promise, operation, path) {
+    return promise.catch((error) => {
+      throw this._mapError(error, operation, path);
+    });
+  }
+}
+
+function getRetryDelay(attempt, { baseDelayMs, maxDelayMs, jitter }) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return delay - delay * jitter * Math.random();
+}
+
+// the emulator options win over the environment variables set by the firebase cli
+function getEmulatorConfig(emulator) {
+  if (emulator === false) {
+    return null;
+  }
+
+  const env = (typeof process !== 'undefined' && process.env) || {};
+  const [envDatabaseHost, envDatabasePort] = (
+    env.FIREBASE_DATABASE_EMULATOR_HOST || ''
+  ).split(':');
+  const {
+    databaseHost = envDatabaseHost,
+    databasePort = envDatabasePort || 9000,
+    authHost = env.FIREBASE_AUTH_EMULATOR_HOST,
+  } = emulator || {};
+
+  if (!databaseHost && !authHost) {
+    return null;
+  }
+  return {
+    databaseHost,
+    databasePort: Number(databasePort),
+    // the auth emulator is given as a url, e.g. http://localhost:9099
+    authHost:
+      authHost &&
+      (/^https?:\/\//.test(authHost) ? authHost : `http://${authHost}`),
+  };
+}
+
+// an unsigned custom token with the given claims, which only the auth emulator accepts
+function createUnsignedToken({ uid, ...claims }) {
+  const encode = (object) => encodeBase64Url(JSON.stringify(object));
+  const now = Math.floor(Date.now() / 1000);
+
+  return [
+    encode({ alg: 'none', typ: 'JWT' }),
+    encode({
+      iss: 'firebase-auth-emulator@example.com',
+      sub: 'firebase-auth-emulator@example.com',
+      aud: 'https://identitytoolkit.googleapis.com/google.identity.identitytoolkit.v1.IdentityToolkit',
+      iat: now,
+      exp: now + 3600,
+      uid,
+      claims,
+    }),
+    '',
+  ].join('.');
+}
+
+function getAuthStrategy(authStrategy) {
+  if (typeof authStrategy === 'function') {
+    return authStrategy;
   }
+  if (!authStrategies[authStrategy]) {
+    throw new Error(
+      `FirebaseService: unknown auth strategy ${authStrategy}, expected one of ${Object.keys(
+        authStrategies,
+      ).join(', ')} or a function`,
+    );
+  }
+  return authStrategies[authStrategy];
+}
+
+function isPermissionDenied(error) {
+  return !!error && error.code === 'PERMISSION_DENIED';
+}
+
+// e.g. https://<database>.firebaseio.com/rooms/1 => /rooms/1
+function getRefPath(ref) {
+  const reference = ref.ref || ref; // a query's path is the path of its ref
+  const root = reference.root.toString();
+  return (
+    decodeURIComponent(reference.toString().substring(root.length - 1)) || '/'
+  );
+}
+
+// path relative to ancestor, e.g. 'b/c' for /a and /a/b/c ('' for the same path), or null if
+// ancestor isn't an ancestor of path
+function getRelativePath(ancestor, path) {
+  const ancestorKeys = String(ancestor).split('/').filter(Boolean);
+  const keys = String(path).split('/').filter(Boolean);
+  return keys.length >= ancestorKeys.length &&
+    ancestorKeys.every((key, i) => key === keys[i])
+    ? keys.slice(ancestorKeys.length).join('/')
+    : null;
+}
+
+function getChildSnapshot(snapshot, relativePath) {
+  return relativePath ? snapshot.child(relativePath) : snapshot;
 }
 
-function getPathNameHint(path) {
-  const pathNames = (path || '').split('/');
-  return pathNames[pathNames.length - 1];
+// a plain object loses the order of an ordered query, so ordered values are returned as entries.
+// value is the snapshot's value, unless it was transformed
+function getSnapshotValue(snapshot, { ordered } = {}, value = snapshot.val()) {
+  if (!ordered) {
+    return value;
+  }
+
+  // without the children validation dropped
+  const entries = [];
+  snapshot.forEach((child) => {
+    if (isObject(value) && value[child.key] !== undefined) {
+      entries.push({ key: child.key, value: value[child.key] });
+    }
+  });
+  return entries;
 }
 
+// the length of the value's json, which is roughly what firebase sends over the wire
+function getApproximateSize(value) {
+  return value === undefined || value === null
+    ? 0
+    : JSON.stringify(value).length;
+}
+
+function mapKeys(object, mapKey) {
+  return Object.keys(object || {}).reduce(
+    (result, key) => ({ ...result, [mapKey(key)]: object[key] }),
+    {},
+  );
+}
+
+// the error classes are exported along with the service, e.g. FirebaseService.NotConnectedError
+Object.assign(FirebaseService, errors);
+
 module.exports = FirebaseService;
@@ -0,0 +1,1183 @@
+// an in-memory stand-in for the firebase (compat) namespace, for running FirebaseService - or any
+// code using the realtime database - in unit tests without a network:
+//
+//   const firebase = createInMemoryFirebase({ data: { rooms: { lobby: { name: 'Lobby' } } } });
+//   const service = new FirebaseService('test', { firebase });
+//
+// all the apps initialized from the same namespace share its data, like clients of one database,
+// and their listeners get the same events firebase would derive from every write. unlike the
+// real database, a write reaches the data (and the other clients) right away, even when offline
+
+const { decodeBase64Url } = require('./base64url');
+const { isObject, splitPath, toPath } = require('./paths');
+
+const DEFAULT_APP_NAME = '[DEFAULT]';
+const EVENT_ORDER = [
+  'child_removed',
+  'child_added',
+  'child_moved',
+  'child_changed',
+  'value',
+];
+const PUSH_CHARS =
+  '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+const MIN_KEY = { toString: () => '[MIN_KEY]' };
+const MAX_KEY = { toString: () => '[MAX_KEY]' };
+const INVALID_KEY = /[.#$[\]/]|[\x00-\x1f\x7f]/; // eslint-disable-line no-control-regex
+
+const ServerValue = {
+  TIMESTAMP: { '.sv': 'timestamp' },
+  increment: (delta) => ({ '.sv': { increment: delta } }),
+};
+
+// whether one path is the other, or an ancestor or descendant of it
+const isRelated = (segments, otherSegments) =>
+  segments
+    .slice(0, otherSegments.length)
+    .every((segment, i) => segment === otherSegments[i]);
+
+const isAtOrBelow = (segments, ancestorSegments) =>
+  segments.length >= ancestorSegments.length &&
+  isRelated(segments, ancestorSegments);
+
+function validateKey(key, operation) {
+  if (!key || INVALID_KEY.test(key)) {
+    throw new Error(
+      `${operation} failed: "${key}" is an invalid key, keys must be non-empty and can't contain ".", "#", "$", "/", "[", or "]"`,
+    );
+  }
+}
+
+function validatePath(segments, operation) {
+  segments
+    .filter((segment, i) => !(i === 0 && segment === '.info'))
+    .forEach((segment) => validateKey(segment, operation));
+}
+
+function permissionDenied(segments) {
+  return Object.assign(
+    new Error(
+      `permission_denied at ${toPath(
+        segments,
+      )}: Client doesn't have permission to access the desired data.`,
+    ),
+    { code: 'PERMISSION_DENIED' },
+  );
+}
+
+// like firebase, a listener that throws doesn't break the write that triggered it
+function guard(fn) {
+  try {
+    fn();
+  } catch (e) {
+    setTimeout(() => {
+      throw e;
+    });
+  }
+}
+
+// ---- data ----
+
+function getNode(node, segments) {
+  return segments.reduce(
+    (current, segment) =>
+      isObject(current) && current[segment] !== undefined
+        ? current[segment]
+        : null,
+    node,
+  );
+}
+
+// returns a new tree (sharing the untouched branches with the old one), so views of the old tree
+// stay intact for comparing them with the new one
+function setNode(node, segments, value) {
+  if (!segments.length) {
+    return value;
+  }
+
+  const [key, ...rest] = segments;
+  const children = isObject(node) ? { ...node } : {};
+  const child = setNode(getNode(children, [key]), rest, value);
+  if (child === null) {
+    delete children[key];
+  } else {
+    children[key] = child;
+  }
+  return Object.keys(children).length ? children : null;
+}
+
+// stores arrays as objects, drops empty values and resolves server values (given the value
+// they replace), the way firebase stores what is written to it
+function normalize(value, current, now, operation) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (isObject(value) && value['.sv'] !== undefined) {
+    const serverValue = value['.sv'];
+    if (serverValue === 'timestamp') {
+      return now();
+    }
+    if (isObject(serverValue) && typeof serverValue.increment === 'number') {
+      return (
+        (typeof current === 'number' ? current : 0) + serverValue.increment
+      );
+    }
+    throw new Error(`${operation} failed: unknown server value ${serverValue}`);
+  }
+
+  if (isObject(value)) {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      validateKey(key, operation);
+      const child = normalize(
+        value[key],
+        getNode(current, [key]),
+        now,
+        operation,
+      );
+      if (child !== null) {
+        result[key] = child;
+      }
+    });
+    return Object.keys(result).length ? result : null;
+  }
+
+  if (
+    typeof value === 'function' ||
+    (typeof value === 'number' && !Number.isFinite(value))
+  ) {
+    throw new Error(`${operation} failed: ${value} is not a valid value`);
+  }
+  return value;
+}
+
+// objects whose keys are mostly consecutive indexes are returned as arrays, like firebase does
+function exportValue(node) {
+  if (!isObject(node)) {
+    return node;
+  }
+
+  const keys = Object.keys(node);
+  const isArray =
+    keys.every((key) => /^(0|[1-9]\d*)$/.test(key)) &&
+    Math.max(...keys.map(Number)) < 2 * keys.length;
+  const result = isArray ? [] : {};
+  keys.forEach((key) => {
+    result[key] = exportValue(node[key]);
+  });
+  return result;
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!isObject(a) || !isObject(b)) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => deepEqual(a[key], b[key]))
+  );
+}
+
+// ---- ordering ----
+
+const asIntegerKey = (key) =>
+  typeof key === 'string' &&
+  /^-?(0|[1-9]\d{0,9})$/.test(key) &&
+  Math.abs(Number(key)) <= 2147483647
+    ? Number(key)
+    : null;
+
+// integer keys come first in numeric order, then the rest in lexicographic order
+function compareKeys(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a === MIN_KEY || b === MAX_KEY) {
+    return -1;
+  }
+  if (b === MIN_KEY || a === MAX_KEY) {
+    return 1;
+  }
+
+  const aInteger = asIntegerKey(a);
+  const bInteger = asIntegerKey(b);
+  if (aInteger !== null && bInteger !== null) {
+    return aInteger - bInteger || a.length - b.length;
+  }
+  if (aInteger !== null || bInteger !== null) {
+    return aInteger !== null ? -1 : 1;
+  }
+  return a < b ? -1 : 1;
+}
+
+const typeRank = (value) => {
+  if (value === null) {
+    return 0;
+  }
+  if (typeof value === 'boolean') {
+    return value ? 2 : 1;
+  }
+  return { number: 3, string: 4 }[typeof value] || 5;
+};
+
+// null < false < true < numbers < strings < objects
+function compareValues(a, b) {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference || a === b || isObject(a)) {
+    return rankDifference;
+  }
+  if (typeof a === 'number') {
+    return a - b;
+  }
+  return a < b ? -1 : 1;
+}
+
+const getOrderValue = ({ orderBy }, key, value) => {
+  if (!orderBy) {
+    return null; // priority, which isn't supported
+  }
+  if (orderBy.type === 'key') {
+    return key;
+  }
+  if (orderBy.type === 'value') {
+    return value;
+  }
+  return getNode(value, orderBy.path);
+};
+
+function comparePositions(params, [aValue, aKey], [bValue, bKey]) {
+  if (params.orderBy && params.orderBy.type === 'key') {
+    return compareKeys(aKey, bKey);
+  }
+  return compareValues(aValue, bValue) || compareKeys(aKey, bKey);
+}
+
+const isInRange = (params, position) => {
+  const { start, end } = params;
+  const fromStart = start && comparePositions(params, position, start.position);
+  const fromEnd = end && comparePositions(params, position, end.position);
+  return (
+    (!start || fromStart > 0 || (fromStart === 0 && !start.exclusive)) &&
+    (!end || fromEnd < 0 || (fromEnd === 0 && !end.exclusive))
+  );
+};
+
+// the children of a node that a query includes, in its order: [[key, value], ...]
+function getChildren(node, params = {}) {
+  if (!isObject(node)) {
+    return [];
+  }
+
+  const { limitToFirst, limitToLast } = params;
+  let children = Object.keys(node)
+    .map((key) => [key, node[key]])
+    .filter(([key, value]) =>
+      isInRange(params, [getOrderValue(params, key, value), key]),
+    )
+    .sort(([aKey, aValue], [bKey, bValue]) =>
+      comparePositions(
+        params,
+        [getOrderValue(params, aKey, aValue), aKey],
+        [getOrderValue(params, bKey, bValue), bKey],
+      ),
+    );
+
+  if (limitToFirst !== undefined) {
+    children = children.slice(0, limitToFirst);
+  }
+  if (limitToLast !== undefined) {
+    children = children.slice(-limitToLast);
+  }
+  return children;
+}
+
+function nextPushId(now, lastPush) {
+  const timestamp = now();
+  const randomChars =
+    timestamp === lastPush.timestamp
+      ? incrementPushChars(lastPush.randomChars)
+      : Array.from({ length: 12 }, () => Math.floor(Math.random() * 64));
+  Object.assign(lastPush, { timestamp, randomChars });
+
+  let timestampChars = '';
+  for (let i = 0, t = timestamp; i < 8; i++, t = Math.floor(t / 64)) {
+    timestampChars = PUSH_CHARS.charAt(t % 64) + timestampChars;
+  }
+  return timestampChars + randomChars.map((c) => PUSH_CHARS.charAt(c)).join('');
+}
+
+// keeps ids pushed within the same millisecond in order
+function incrementPushChars(chars) {
+  const result = [...chars];
+  let i = result.length - 1;
+  for (; i >= 0 && result[i] === 63; i--) {
+    result[i] = 0;
+  }
+  result[i]++;
+  return result;
+}
+
+// ---- snapshots ----
+
+class DataSnapshot {
+  constructor(database, segments, node, params) {
+    this._database = database;
+    this._segments = segments;
+    this._node = node;
+    this._params = params;
+  }
+
+  get key() {
+    return this._segments.length
+      ? this._segments[this._segments.length - 1]
+      : null;
+  }
+
+  get ref() {
+    return new Reference(this._database, this._segments);
+  }
+
+  val() {
+    return exportValue(this._node);
+  }
+
+  exportVal() {
+    return this.val();
+  }
+
+  toJSON() {
+    return this.val();
+  }
+
+  exists() {
+    return this._node !== null;
+  }
+
+  child(path) {
+    const segments = splitPath(path);
+    return new DataSnapshot(
+      this._database,
+      [...this._segments, ...segments],
+      getNode(this._node, segments),
+    );
+  }
+
+  hasChild(path) {
+    return this.child(path).exists();
+  }
+
+  hasChildren() {
+    return this.numChildren() > 0;
+  }
+
+  numChildren() {
+    return isObject(this._node) ? Object.keys(this._node).length : 0;
+  }
+
+  getPriority() {
+    return null;
+  }
+
+  // iterates in the order of the query the snapshot is of; returns true if action cancelled it
+  forEach(action) {
+    return getChildren(this._node, this._params).some(([key, value]) =>
+      action(new DataSnapshot(this._database, [...this._segments, key], value)),
+    );
+  }
+}
+
+// ---- references and queries ----
+
+class Query {
+  constructor(database, segments, params = {}) {
+    this._database = database;
+    this._segments = segments;
+    this._params = params;
+  }
+
+  get ref() {
+    return new Reference(this._database, this._segments);
+  }
+
+  toString() {
+    return this.ref.toString();
+  }
+
+  on(event, callback, cancelCallback, context) {
+    this._database._register(this, event, callback, cancelCallback, context);
+    return callback;
+  }
+
+  off(event, callback, context) {
+    this._database._unregister(this, event, callback, context);
+  }
+
+  once(event, successCallback, failureCallback) {
+    return new Promise((resolve, reject) => {
+      const onEvent = (snapshot, previousKey) => {
+        this.off(event, onEvent);
+        if (successCallback) {
+          successCallback(snapshot, previousKey);
+        }
+        resolve(snapshot);
+      };
+      const onCancel = (error) => {
+        if (failureCallback) {
+          failureCallback(error);
+        }
+        reject(error);
+      };
+      this.on(event, onEvent, onCancel);
+    });
+  }
+
+  get() {
+    return this.once('value');
+  }
+
+  orderByChild(path) {
+    return this._withOrderBy({ type: 'child', path: splitPath(path) });
+  }
+
+  orderByKey() {
+    return this._withOrderBy({ type: 'key' });
+  }
+
+  orderByValue() {
+    return this._withOrderBy({ type: 'value' });
+  }
+
+  startAt(value = null, key) {
+    return this._withBound('start', value, key, MIN_KEY, false);
+  }
+
+  startAfter(value = null, key) {
+    return this._withBound('start', value, key, MAX_KEY, true);
+  }
+
+  endAt(value = null, key) {
+    return this._withBound('end', value, key, MAX_KEY, false);
+  }
+
+  endBefore(value = null, key) {
+    return this._withBound('end', value, key, MIN_KEY, true);
+  }
+
+  equalTo(value, key) {
+    return this.startAt(value, key).endAt(value, key);
+  }
+
+  limitToFirst(limit) {
+    return this._withLimit('limitToFirst', limit);
+  }
+
+  limitToLast(limit) {
+    return this._withLimit('limitToLast', limit);
+  }
+
+  _withOrderBy(orderBy) {
+    if (this._params.orderBy) {
+      throw new Error('Query: You can only combine one orderBy call.');
+    }
+    return new Query(this._database, this._segments, {
+      ...this._params,
+      orderBy,
+    });
+  }
+
+  _withBound(bound, value, key, defaultKey, exclusive) {
+    if (this._params[bound]) {
+      throw new Error(`Query: ${bound} point was already set.`);
+    }
+    const orderedByKey =
+      this._params.orderBy && this._params.orderBy.type === 'key';
+    const position = [value, orderedByKey ? value : key || defaultKey];
+    return new Query(this._database, this._segments, {
+      ...this._params,
+      [bound]: { position, exclusive },
+    });
+  }
+
+  _withLimit(limit, value) {
+    if (this._params.limitToFirst || this._params.limitToLast) {
+      throw new Error('Query: Limit was already set.');
+    }
+    return new Query(this._database, this._segments, {
+      ...this._params,
+      [limit]: value,
+    });
+  }
+}
+
+class Reference extends Query {
+  constructor(database, segments) {
+    super(database, segments);
+  }
+
+  get ref() {
+    return this;
+  }
+
+  get key() {
+    return this._segments.length
+      ? this._segments[this._segments.length - 1]
+      : null;
+  }
+
+  get parent() {
+    return this._segments.length
+      ? new Reference(this._database, this._segments.slice(0, -1))
+      : null;
+  }
+
+  get root() {
+    return new Reference(this._database, []);
+  }
+
+  toString() {
+    return `${this._database._url}/${this._segments
+      .map(encodeURIComponent)
+      .join('/')}`;
+  }
+
+  child(path) {
+    const segments = splitPath(path);
+    validatePath(segments, 'Reference.child');
+    return new Reference(this._database, [...this._segments, ...segments]);
+  }
+
+  set(value, onComplete) {
+    return this._write([{ segments: this._segments, value }], onComplete);
+  }
+
+  update(values, onComplete) {
+    if (!isObject(values)) {
+      throw new Error('Reference.update failed: values must be an object');
+    }
+    const writes = Object.keys(values).map((path) => ({
+      segments: [...this._segments, ...splitPath(path)],
+      value: values[path],
+    }));
+    return this._write(writes, onComplete);
+  }
+
+  remove(onComplete) {
+    return this.set(null, onComplete);
+  }
+
+  // like firebase, the returned reference is also a promise of the write, which resolves with a
+  // plain reference to the same location (resolving with a thenable would never settle)
+  push(value, onComplete) {
+    const ref = this.child(this._database._nextPushId());
+    const write =
+      value === undefined ? Promise.resolve() : ref.set(value, onComplete);
+    ref.then = (onFulfilled, onRejected) =>
+      write
+        .then(() => new Reference(this._database, ref._segments))
+        .then(onFulfilled, onRejected);
+    ref.catch = (onRejected) => write.catch(onRejected);
+    return ref;
+  }
+
+  // writes are applied right away, so there is no local state to apply first (applyLocally)
+  transaction(transactionUpdate, onComplete) {
+    const database = this._database;
+    if (database._server.isDenied(this._segments)) {
+      return rejectWith(permissionDenied(this._segments), onComplete);
+    }
+
+    // like firebase, the update function first gets the locally known value (null unless a
+    // listener keeps the location in sync), and again with the server's value if that's wrong
+    const current = exportValue(database._server.read(this._segments));
+    const local = database._isSynced(this._segments) ? current : null;
+    let newValue = transactionUpdate(local);
+    if (!deepEqual(local, current)) {
+      newValue = transactionUpdate(current);
+    }
+    const committed = newValue !== undefined;
+    if (committed) {
+      database._server.write([{ segments: this._segments, value: newValue }]);
+    }
+
+    const snapshot = new DataSnapshot(
+      database,
+      this._segments,
+      database._server.read(this._segments),
+    );
+    if (onComplete) {
+      onComplete(null, committed, snapshot);
+    }
+    return Promise.resolve({ committed, snapshot });
+  }
+
+  onDisconnect() {
+    const database = this._database;
+    const segments = this._segments;
+    const queue = (writes) => {
+      database._onDisconnectWrites.push({ segments, writes });
+      return Promise.resolve();
+    };
+
+    return {
+      set: (value) => queue([{ segments, value }]),
+      update: (values) =>
+        queue(
+          Object.keys(values).map((path) => ({
+            segments: [...segments, ...splitPath(path)],
+            value: values[path],
+          })),
+        ),
+      remove: () => queue([{ segments, value: null }]),
+      // cancels what was queued for this location and all of its children
+      cancel: () => {
+        database._onDisconnectWrites = database._onDisconnectWrites.filter(
+          (queued) => !isAtOrBelow(queued.segments, segments),
+        );
+        return Promise.resolve();
+      },
+    };
+  }
+
+  _write(writes, onComplete) {
+    const server = this._database._server;
+    const denied = writes.find(({ segments }) => server.isDenied(segments));
+    if (denied) {
+      return rejectWith(permissionDenied(denied.segments), onComplete);
+    }
+
+    writes.forEach(({ segments }) => validatePath(segments, 'Reference.set'));
+    server.write(writes);
+    if (onComplete) {
+      onComplete(null);
+    }
+    return Promise.resolve();
+  }
+}
+
+function rejectWith(error, onComplete) {
+  if (onComplete) {
+    onComplete(error);
+  }
+  return Promise.reject(error);
+}
+
+// ---- database (a client of the server) ----
+
+class Database {
+  constructor(app, server) {
+    this.app = app;
+    this._server = server;
+    this._url = (app.options.databaseURL || server.databaseURL).replace(
+      /\/$/,
+      '',
+    );
+    this._online = true;
+    this._registrations = [];
+    this._onDisconnectWrites = [];
+    this._lastPush = {};
+    server.clients.add(this);
+  }
+
+  ref(path) {
+    const segments = splitPath(path);
+    validatePath(segments, 'Database.ref');
+    return new Reference(this, segments);
+  }
+
+  goOffline() {
+    if (this._online) {
+      this._online = false;
+      this._server.closeConnection(this);
+      this._onInfoChanged('connected');
+    }
+  }
+
+  goOnline() {
+    if (!this._online) {
+      this._online = true;
+      this._onInfoChanged('connected');
+    }
+  }
+
+  useEmulator() {}
+
+  _nextPushId() {
+    return nextPushId(() => this._server.now(), this._lastPush);
+  }
+
+  _read(segments) {
+    if (segments[0] !== '.info') {
+      return this._server.read(segments);
+    }
+    const info = {
+      connected: this._online,
+      serverTimeOffset: this._server.serverTimeOffset,
+    };
+    return getNode(info, segments.slice(1));
+  }
+
+  _view(query) {
+    const node = this._read(query._segments);
+    const params = query._params;
+    const isQuery = Object.keys(params).length > 0;
+    const children = getChildren(node, params);
+    const value = isQuery
+      ? children.reduce(
+          (result, [key, child]) => ({ ...(result || {}), [key]: child }),
+          null,
+        )
+      : node;
+    return { value, children };
+  }
+
+  _register(query, event, callback, cancelCallback, context) {
+    const registration = {
+      query,
+      event,
+      callback,
+      cancelCallback,
+      context,
+      view: null, // the data delivered so far, set once the initial events are delivered
+    };
+
+    if (this._server.isDenied(query._segments)) {
+      Promise.resolve().then(() =>
+        this._cancel(registration, permissionDenied(query._segments)),
+      );
+      return;
+    }
+
+    this._registrations.push(registration);
+    // like data arriving from the server, the initial events are asynchronous
+    Promise.resolve().then(() => {
+      if (this._registrations.includes(registration)) {
+        this._deliver([registration, this._view(query)]);
+      }
+    });
+  }
+
+  // whether a listener on the location or above it (without a query) already got its data
+  _isSynced(segments) {
+    return this._registrations.some(
+      ({ query, view }) =>
+        view &&
+        !Object.keys(query._params).length &&
+        isAtOrBelow(segments, query._segments),
+    );
+  }
+
+  _unregister(query, event, callback, context) {
+    // a reference (unlike a query) removes the listeners of all the queries on its location
+    const isReference = query instanceof Reference;
+    this._registrations = this._registrations.filter(
+      (registration) =>
+        !(
+          toPath(registration.query._segments) === toPath(query._segments) &&
+          (isReference ||
+            deepEqual(registration.query._params, query._params)) &&
+          (!event || registration.event === event) &&
+          (!callback || registration.callback === callback) &&
+          (!context || registration.context === context)
+        ),
+    );
+  }
+
+  _cancel(registration, error) {
+    this._registrations = this._registrations.filter(
+      (other) => other !== registration,
+    );
+    if (registration.cancelCallback) {
+      guard(() =>
+        registration.cancelCallback.call(registration.context, error),
+      );
+    }
+  }
+
+  _onDataChanged(changedSegments) {
+    this._deliver(
+      ...this._registrations
+        .filter(
+          ({ query, view }) =>
+            view &&
+            changedSegments.some((segments) =>
+              isRelated(segments, query._segments),
+            ),
+        )
+        .map((registration) => [registration, this._view(registration.query)]),
+    );
+  }
+
+  _onInfoChanged(info) {
+    this._onDataChanged([['.info', info]]);
+  }
+
+  _onAccessDenied(deniedSegments) {
+    this._registrations
+      .filter(({ query }) => isAtOrBelow(query._segments, deniedSegments))
+      .forEach((registration) =>
+        this._cancel(
+          registration,
+          permissionDenied(registration.query._segments),
+        ),
+      );
+  }
+
+  _close() {
+    this.goOffline();
+    this._registrations = [];
+    this._server.clients.delete(this);
+  }
+
+  // fires the events of registrations for the difference between what each got so far and its
+  // new view, in the order firebase does: child_removed, child_added, child_moved, child_changed
+  // and value, even across registrations
+  _deliver(...registrationViews) {
+    const events = registrationViews
+      .map(([registration, view]) => this._diff(registration, view))
+      .reduce((all, some) => all.concat(some), [])
+      .sort(
+        (a, b) => EVENT_ORDER.indexOf(a.event) - EVENT_ORDER.indexOf(b.event),
+      );
+
+    events
+      .filter(({ registration }) => this._registrations.includes(registration))
+      .forEach(({ registration, snapshot, previousKey }) =>
+        guard(() =>
+          registration.callback.call(
+            registration.context,
+            snapshot,
+            previousKey,
+          ),
+        ),
+      );
+  }
+
+  _diff(registration, view) {
+    const { query, event } = registration;
+    const previousView = registration.view || {
+      value: undefined,
+      children: [],
+    };
+    registration.view = view;
+
+    const toEvent = (key, node, previousKey) => ({
+      registration,
+      event,
+      snapshot: new DataSnapshot(this, [...query._segments, key], node),
+      previousKey,
+    });
+
+    if (event === 'value') {
+      return deepEqual(previousView.value, view.value)
+        ? []
+        : [
+            {
+              registration,
+              event,
+              snapshot: new DataSnapshot(
+                this,
+                query._segments,
+                view.value,
+                query._params,
+              ),
+            },
+          ];
+    }
+
+    const previousKeys = getPreviousKeys(previousView.children);
+    const keys = getPreviousKeys(view.children);
+    const previousValues = new Map(previousView.children);
+
+    if (event === 'child_removed') {
+      return previousView.children
+        .filter(([key]) => !keys.has(key))
+        .map(([key, value]) => toEvent(key, value));
+    }
+
+    return view.children
+      .filter(([key, value]) => {
+        const isNew = !previousKeys.has(key);
+        const changed = !isNew && !deepEqual(previousValues.get(key), value);
+        const moved = changed && previousKeys.get(key) !== keys.get(key);
+        return (
+          (event === 'child_added' && isNew) ||
+          (event === 'child_changed' && changed) ||
+          (event === 'child_moved' && moved)
+        );
+      })
+      .map(([key, value]) => toEvent(key, value, keys.get(key)));
+  }
+}
+
+// maps each key to the key that precedes it (null for the first one)
+function getPreviousKeys(children) {
+  return new Map(
+    children.map(([key], i) => [key, i ? children[i - 1][0] : null]),
+  );
+}
+
+// ---- server (the data, shared by all the apps of a namespace) ----
+
+class Server {
+  constructor({ data, serverTimeOffset, databaseURL }) {
+    this.serverTimeOffset = serverTimeOffset;
+    this.databaseURL = databaseURL;
+    this.clients = new Set();
+    this.deniedPaths = [];
+    this.data = normalize(
+      data,
+      null,
+      () => this.now(),
+      'createInMemoryFirebase',
+    );
+  }
+
+  now() {
+    return Date.now() + this.serverTimeOffset;
+  }
+
+  read(segments) {
+    return getNode(this.data, segments);
+  }
+
+  isDenied(segments) {
+    return this.deniedPaths.some((denied) => isAtOrBelow(segments, denied));
+  }
+
+  // applies all the writes, or none of them if any is invalid
+  write(writes) {
+    const normalized = writes.map(({ segments, value }) => ({
+      segments,
+      value: normalize(
+        value,
+        this.read(segments),
+        () => this.now(),
+        'Reference.set',
+      ),
+    }));
+    normalized.forEach(({ segments, value }) => {
+      this.data = setNode(this.data, segments, value);
+    });
+
+    const changedSegments = writes.map(({ segments }) => segments);
+    [...this.clients].forEach((client) =>
+      client._onDataChanged(changedSegments),
+    );
+  }
+
+  // what the server does once a client's connection is closed
+  closeConnection(client) {
+    const onDisconnectWrites = client._onDisconnectWrites;
+    client._onDisconnectWrites = [];
+    onDisconnectWrites.forEach(({ writes }) => this.write(writes));
+  }
+}
+
+// ---- apps and auth ----
+
+class Auth {
+  constructor(app) {
+    this.app = app;
+    this.currentUser = null;
+    this._observers = [];
+    this._anonymousUsers = 0;
+  }
+
+  // the uid is taken from the token's claims when it's a jwt, or is the token itself otherwise
+  signInWithCustomToken(token) {
+    if (typeof token !== 'string' || !token) {
+      return Promise.reject(
+        Object.assign(new Error('The custom token format is incorrect.'), {
+          code: 'auth/invalid-custom-token',
+        }),
+      );
+    }
+    return this._signIn({ uid: getUidFromToken(token), isAnonymous: false });
+  }
+
+  signInAnonymously() {
+    return this._signIn({
+      uid: `anonymous-${++this._anonymousUsers}`,
+      isAnonymous: true,
+    });
+  }
+
+  signInWithEmailAndPassword(email, password) {
+    if (!email || !password) {
+      return Promise.reject(
+        Object.assign(new Error('The email or password is invalid.'), {
+          code: 'auth/invalid-email',
+        }),
+      );
+    }
+    return this._signIn({ uid: email, email, isAnonymous: false });
+  }
+
+  signOut() {
+    this._setUser(null);
+    return Promise.resolve();
+  }
+
+  onAuthStateChanged(observer) {
+    this._observers.push(observer);
+    Promise.resolve().then(() => {
+      if (this._observers.includes(observer)) {
+        observer(this.currentUser);
+      }
+    });
+    return () => {
+      this._observers = this._observers.filter((other) => other !== observer);
+    };
+  }
+
+  useEmulator() {}
+
+  _signIn(user) {
+    this._setUser(user);
+    return Promise.resolve({ user });
+  }
+
+  _setUser(user) {
+    this.currentUser = user;
+    this._observers.forEach((observer) => guard(() => observer(user)));
+  }
+}
+
+function getUidFromToken(token) {
+  const [, payload] = token.split('.');
+  try {
+    const claims = JSON.parse(decodeBase64Url(payload));
+    return claims.uid || token;
+  } catch (e) {
+    return token;
+  }
+}
+
+class App {
+  constructor(server, options, name, onDelete) {
+    this.name = name;
+    this.options = options;
+    this._server = server;
+    this._onDelete = onDelete;
+    this._database = null;
+    this._auth = null;
+  }
+
+  auth() {
+    this._auth = this._auth || new Auth(this);
+    return this._auth;
+  }
+
+  database() {
+    this._database = this._database || new Database(this, this._server);
+    return this._database;
+  }
+
+  delete() {
+    if (this._database) {
+      this._database._close();
+    }
+    this._onDelete();
+    return Promise.resolve();
+  }
+}
+
+// data is the initial content of the database; serverTimeOffset is how far the server clock is
+// ahead of the local one (as reported by /.info/serverTimeOffset)
+function createInMemoryFirebase({
+  data = null,
+  serverTimeOffset = 0,
+  databaseURL = 'https://in-memory.firebaseio.com',
+} = {}) {
+  const server = new Server({ data, serverTimeOffset, databaseURL });
+  const apps = new Map();
+
+  const namespace = {
+    initializeApp(options = {}, name = DEFAULT_APP_NAME) {
+      if (apps.has(name)) {
+        throw Object.assign(
+          new Error(`Firebase App named '${name}' already exists`),
+          { code: 'app/duplicate-app' },
+        );
+      }
+      const app = new App(server, options, name, () => apps.delete(name));
+      apps.set(name, app);
+      return app;
+    },
+
+    app(name = DEFAULT_APP_NAME) {
+      if (!apps.has(name)) {
+        throw Object.assign(
+          new Error(`Firebase App named '${name}' doesn't exist`),
+          { code: 'app/no-app' },
+        );
+      }
+      return apps.get(name);
+    },
+
+    get apps() {
+      return [...apps.values()];
+    },
+
+    database: Object.assign((app) => (app || namespace.app()).database(), {
+      ServerValue,
+    }),
+
+    auth: (app) => (app || namespace.app()).auth(),
+
+    // ---- test helpers, acting as the server ----
+
+    getDataAtPath(path) {
+      return exportValue(server.read(splitPath(path)));
+    },
+
+    setDataAtPath(path, value) {
+      server.write([{ segments: splitPath(path), value }]);
+    },
+
+    setServerTimeOffset(offset) {
+      server.serverTimeOffset = offset;
+      server.clients.forEach((client) =>
+        client._onInfoChanged('serverTimeOffset'),
+      );
+    },
+
+    // like a security rule revoking access: listeners at or below path are cancelled, and
+    // reads and writes fail with a permission error until access is allowed again
+    denyAccess(path) {
+      const segments = splitPath(path);
+      server.deniedPaths.push(segments);
+      server.clients.forEach((client) => client._onAccessDenied(segments));
+    },
+
+    allowAccess(path) {
+      const allowed = toPath(splitPath(path));
+      server.deniedPaths = server.deniedPaths.filter(
+        (segments) => toPath(segments) !== allowed,
+      );
+    },
+
+    // like the network dropping: the server runs the onDisconnect writes of every client, and
+    // the clients reconnect right away
+    simulateNetworkDrop() {
+      [...server.clients].forEach((client) => {
+        if (client._online) {
+          client.goOffline();
+          client.goOnline();
+        }
+      });
+    },
+  };
+
+  return namespace;
+}
+
+module.exports = {
+  createInMemoryFirebase,
+};
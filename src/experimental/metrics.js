@@ -0,0 +1,77 @@
+// an instrumentation for FirebaseService that aggregates its operations in memory, e.g.
+//   const metrics = createMetricsAggregator({ patterns: ['/rooms/$roomId'] });
+//   const service = new FirebaseService('app', { instrumentation: metrics });
+//   ...
+//   metrics.getMetrics().getValuesAtPath['/rooms/$roomId'].count
+// operations are grouped by the first of patterns their path matches ($wildcards match any key),
+// or by their path otherwise ('*' for operations without one, like connect)
+const { matchPath } = require('./validation');
+
+const DEFAULT_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+function createMetricsAggregator({
+  patterns = [],
+  bucketsMs = DEFAULT_BUCKETS_MS,
+} = {}) {
+  let metrics = {};
+
+  const getGroup = (path) =>
+    path === undefined
+      ? '*'
+      : patterns.find((pattern) => matchPath(pattern, path)) || path;
+
+  const createStats = () => ({
+    count: 0,
+    errors: 0,
+    bytes: 0,
+    // how many operations took up to each bucket's duration (and longer than the previous one)
+    latency: {
+      sumMs: 0,
+      maxMs: 0,
+      buckets: [...bucketsMs, Infinity].map((le) => ({ le, count: 0 })),
+    },
+  });
+
+  return {
+    onOperationEnd({ operation, path, durationMs, size, outcome }) {
+      const group = getGroup(path);
+      metrics[operation] = metrics[operation] || {};
+      const stats = (metrics[operation][group] =
+        metrics[operation][group] || createStats());
+
+      stats.count++;
+      stats.errors += outcome === 'error' ? 1 : 0;
+      stats.bytes += size || 0;
+      stats.latency.sumMs += durationMs;
+      stats.latency.maxMs = Math.max(stats.latency.maxMs, durationMs);
+      stats.latency.buckets.find(({ le }) => durationMs <= le).count++;
+    },
+
+    // { [operation]: { [pattern or path]: { count, errors, bytes, latency } } }
+    getMetrics() {
+      const copyStats = (stats) => ({
+        ...stats,
+        latency: {
+          ...stats.latency,
+          buckets: stats.latency.buckets.map((bucket) => ({ ...bucket })),
+        },
+      });
+      return mapValues(metrics, (groups) => mapValues(groups, copyStats));
+    },
+
+    reset() {
+      metrics = {};
+    },
+  };
+}
+
+function mapValues(object, mapValue) {
+  return Object.keys(object).reduce(
+    (result, key) => ({ ...result, [key]: mapValue(object[key]) }),
+    {},
+  );
+}
+
+module.exports = {
+  createMetricsAggregator,
+};
@@ -0,0 +1,30 @@
+// a set of callbacks to notify about a service-level event; like listener callbacks,
+// a failing observer is reported and doesn't prevent the others from being notified
+function createObservers(onError = console.error) {
+  const callbacks = new Set();
+
+  return {
+    add(callback) {
+      callbacks.add(callback);
+      return () => {
+        callbacks.delete(callback);
+      };
+    },
+    notify(...args) {
+      [...callbacks].forEach((callback) => {
+        try {
+          callback(...args);
+        } catch (e) {
+          onError(e);
+        }
+      });
+    },
+    clear() {
+      callbacks.clear();
+    },
+  };
+}
+
+module.exports = {
+  createObservers,
+};
@@ -0,0 +1,202 @@
+const { InvalidQueryError } = require('./errors');
+
+const DIRECTIONS = ['forward', 'backward'];
+
+// pages through the children of a path in the order of orderBy ('key', 'value' or a child
+// path), pageSize children at a time. a page is an array of { key, value } entries, in the
+// order of the direction: 'forward' starts from the first child, 'backward' from the last.
+// the cursor is the { value, key } of the last child of the current page, which next() starts
+// after; children with the same value are told apart by their keys, so none of them is skipped
+// or repeated. an earlier cursor can be passed to resume from it.
+// with live, the current page stays subscribed and onChange(page) is called when it changes,
+// until the paginator moves to another page or is closed
+class Paginator {
+  constructor(
+    service,
+    path,
+    {
+      orderBy = 'key',
+      pageSize,
+      direction = 'forward',
+      cursor = null,
+      live = false,
+      onChange = () => {},
+      onCancel,
+    } = {},
+  ) {
+    if (!Number.isInteger(pageSize) || pageSize <= 0) {
+      throw new InvalidQueryError({
+        operation: 'paginate',
+        reason: `pageSize must be a positive integer (got ${pageSize})`,
+      });
+    }
+    if (!DIRECTIONS.includes(direction)) {
+      throw new InvalidQueryError({
+        operation: 'paginate',
+        reason: `direction must be 'forward' or 'backward' (got ${direction})`,
+      });
+    }
+
+    this._service = service;
+    this._path = path;
+    this._orderBy = orderBy;
+    this._pageSize = pageSize;
+    this._backward = direction === 'backward';
+    this._live = live;
+    this._onChange = onChange;
+    this._onCancel = onCancel;
+    this._unsubscribe = null;
+
+    this._page = [];
+    this._cursor = cursor;
+    this._firstCursor = null;
+    this._hasMore = true;
+    this._hasPrevious = !!cursor;
+  }
+
+  get page() {
+    return this._page;
+  }
+
+  get cursor() {
+    return this._cursor;
+  }
+
+  get hasMore() {
+    return this._hasMore;
+  }
+
+  get hasPrevious() {
+    return this._hasPrevious;
+  }
+
+  // resolves with the next page, or with an empty page (staying where it is) when there's none
+  next() {
+    if (!this._hasMore) {
+      return Promise.resolve([]);
+    }
+    return this._load(this._cursor, true);
+  }
+
+  previous() {
+    if (!this._hasPrevious || !this._firstCursor) {
+      return Promise.resolve([]);
+    }
+    return this._load(this._firstCursor, false);
+  }
+
+  close() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  // loads the page after (or, going back, before) a cursor, fetching one child more than a page
+  // to know if there's another page past it
+  _load(cursor, onward) {
+    const ascending = onward !== this._backward;
+    const limit = this._pageSize + 1;
+    const bound = cursor ? this._toBound(cursor) : undefined;
+    const query = ascending
+      ? { startAfter: bound, limitToFirst: limit }
+      : { endBefore: bound, limitToLast: limit };
+    const onPage = (entries, loaded) => {
+      const hasMoreEntries = entries.length > this._pageSize;
+      const page = ascending
+        ? entries.slice(0, this._pageSize)
+        : entries.slice(-this._pageSize);
+      if (!page.length && !loaded) {
+        this[onward ? '_hasMore' : '_hasPrevious'] = false;
+        return page;
+      }
+      this._setPage(this._backward ? page.reverse() : page, {
+        onward,
+        afterCursor: !!cursor,
+        hasMoreEntries,
+      });
+      return this._page;
+    };
+
+    this.close();
+    if (!this._live) {
+      return this._service
+        .getValuesAtPath({
+          path: this._path,
+          orderBy: this._orderBy,
+          ordered: true,
+          ...query,
+        })
+        .then((entries) => onPage(entries, false));
+    }
+
+    return new Promise((resolve, reject) => {
+      let loaded = false;
+      this._unsubscribe = this._service
+        .listenOnPath(this._path, {
+          orderBy: this._orderBy,
+          ordered: true,
+          ...query,
+          onCancel: (error, context) => {
+            if (!loaded) {
+              reject(error);
+            } else if (this._onCancel) {
+              this._onCancel(error, context);
+            }
+          },
+        })
+        .when('value')
+        .call(({ value }) => {
+          const page = onPage(value, loaded);
+          if (loaded) {
+            this._onChange(page);
+          } else {
+            loaded = true;
+            resolve(page);
+          }
+        });
+    });
+  }
+
+  _setPage(page, { onward, afterCursor, hasMoreEntries }) {
+    this._page = page;
+    if (onward) {
+      this._hasPrevious = afterCursor;
+      this._hasMore = hasMoreEntries;
+    } else {
+      this._hasPrevious = hasMoreEntries;
+      this._hasMore = true;
+    }
+    if (page.length) {
+      this._firstCursor = this._getCursor(page[0]);
+      this._cursor = this._getCursor(page[page.length - 1]);
+    }
+  }
+
+  _getCursor({ key, value }) {
+    if (this._orderBy === 'key') {
+      return { value: key, key };
+    }
+    if (this._orderBy === 'value') {
+      return { value, key };
+    }
+    const orderValue = this._orderBy
+      .split('/')
+      .filter(Boolean)
+      .reduce(
+        (child, name) =>
+          child !== null && typeof child === 'object' ? child[name] : null,
+        value,
+      );
+    return { value: orderValue === undefined ? null : orderValue, key };
+  }
+
+  // firebase doesn't take a key to break ties when ordering by key, the key is the value
+  _toBound({ value, key }) {
+    return this._orderBy === 'key' ? key : { value, key };
+  }
+}
+
+module.exports = {
+  Paginator,
+};
@@ -0,0 +1,15 @@
+// helpers for database paths, as strings ('/rooms/1') or lists of keys (['rooms', '1'])
+const isObject = (value) => value !== null && typeof value === 'object';
+
+const splitPath = (path) =>
+  String(path || '')
+    .split('/')
+    .filter(Boolean);
+
+const toPath = (segments) => `/${segments.join('/')}`;
+
+module.exports = {
+  isObject,
+  splitPath,
+  toPath,
+};
@@ -0,0 +1,101 @@
+// translates a declarative query, e.g. { orderBy: 'timestamp', startAt: 0, limitToLast: 50 },
+// into the equivalent chain of firebase query methods on a ref. a bound can also be
+// { value, key }, to break ties between children with the same value by their keys
+const { InvalidQueryError } = require('./errors');
+
+const BOUNDS = ['startAt', 'startAfter', 'endAt', 'endBefore', 'equalTo'];
+const LIMITS = ['limitToFirst', 'limitToLast'];
+const OPTIONS = ['orderBy', ...BOUNDS, ...LIMITS];
+
+const isSet = (value) => value !== undefined;
+const hasKey = (bound) =>
+  bound !== null && typeof bound === 'object' && 'key' in bound;
+
+function applyQuery(ref, query = {}, operation) {
+  validateQuery(query, operation);
+
+  const { orderBy } = query;
+  if (orderBy === 'key') {
+    ref = ref.orderByKey();
+  } else if (orderBy === 'value') {
+    ref = ref.orderByValue();
+  } else if (isSet(orderBy)) {
+    ref = ref.orderByChild(orderBy);
+  }
+
+  [...BOUNDS, ...LIMITS]
+    .filter((method) => isSet(query[method]))
+    .forEach((method) => {
+      const bound = query[method];
+      ref = hasKey(bound)
+        ? ref[method](bound.value, bound.key)
+        : ref[method](bound);
+    });
+
+  return ref;
+}
+
+function validateQuery(query, operation) {
+  const fail = (reason) => {
+    throw new InvalidQueryError({ operation, reason });
+  };
+  const { orderBy, equalTo } = query;
+
+  // e.g. a misspelled limitTolast, which would otherwise read the whole collection
+  Object.keys(query)
+    .filter((option) => !OPTIONS.includes(option))
+    .forEach((option) => fail(`unknown option ${option}`));
+
+  if (isSet(orderBy) && (typeof orderBy !== 'string' || !orderBy)) {
+    fail(`orderBy must be 'key', 'value' or a child path (got ${orderBy})`);
+  }
+
+  [
+    ['startAt', 'startAfter'],
+    ['endAt', 'endBefore'],
+    ['limitToFirst', 'limitToLast'],
+  ]
+    .filter(([first, second]) => isSet(query[first]) && isSet(query[second]))
+    .forEach(([first, second]) =>
+      fail(`${first} and ${second} can't be combined`),
+    );
+
+  if (isSet(equalTo)) {
+    BOUNDS.filter(
+      (bound) => bound !== 'equalTo' && isSet(query[bound]),
+    ).forEach((bound) => fail(`equalTo and ${bound} can't be combined`));
+  }
+
+  BOUNDS.filter((bound) => isSet(query[bound])).forEach((bound) => {
+    let value = query[bound];
+    if (hasKey(value)) {
+      if (orderBy === 'key') {
+        fail(`${bound} can't have a key when ordering by key`);
+      }
+      if (typeof value.key !== 'string' || !value.key) {
+        fail(`${bound} key must be a non-empty string (got ${value.key})`);
+      }
+      value = value.value;
+    }
+    if (orderBy === 'key' && typeof value !== 'string') {
+      fail(`${bound} must be a string when ordering by key (got ${value})`);
+    }
+    if (
+      value !== null &&
+      !['string', 'number', 'boolean'].includes(typeof value)
+    ) {
+      fail(`${bound} must be a string, number, boolean or null (got ${value})`);
+    }
+  });
+
+  LIMITS.filter((limit) => isSet(query[limit])).forEach((limit) => {
+    const value = query[limit];
+    if (!Number.isInteger(value) || value <= 0) {
+      fail(`${limit} must be a positive integer (got ${value})`);
+    }
+  });
+}
+
+module.exports = {
+  applyQuery,
+};
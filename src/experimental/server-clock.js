@@ -0,0 +1,53 @@
+const { createObservers } = require('./observers');
+
+// the server time, read synchronously using the offset firebase keeps in /.info/serverTimeOffset
+// (and updates on every reconnection). until the offset arrives, synced is false and now() is
+// the local time
+class ServerClock {
+  constructor(db, { onError }) {
+    this._offset = 0;
+    this._synced = false;
+    this._observers = createObservers(onError);
+    this._ref = db.ref('/.info/serverTimeOffset');
+    this._handler = (snapshot) => {
+      const offset = snapshot.val() || 0;
+      const changed = !this._synced || offset !== this._offset;
+      this._offset = offset;
+      this._synced = true;
+      if (changed) {
+        this._observers.notify(this.now(), offset);
+      }
+    };
+    this._ref.on('value', this._handler);
+  }
+
+  get offset() {
+    return this._offset;
+  }
+
+  get synced() {
+    return this._synced;
+  }
+
+  now() {
+    return Date.now() + this._offset;
+  }
+
+  // callback(serverTime, offset) is called whenever the offset changes, starting with the first
+  onChange(callback) {
+    return this._observers.add(callback);
+  }
+
+  // once stopped, now() keeps using the last offset known
+  stop() {
+    if (this._ref) {
+      this._ref.off('value', this._handler);
+      this._ref = null;
+      this._observers.clear();
+    }
+  }
+}
+
+module.exports = {
+  ServerClock,
+};
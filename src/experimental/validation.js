@@ -0,0 +1,201 @@
+// validators registered per path pattern, e.g. /rooms/$roomId/players/$playerId, where each
+// $wildcard matches any key. a validator is a function of (value, { path, params }) - a plain
+// predicate, or e.g. a compiled json schema - which returns true for a valid value. otherwise it
+// returns false, an error message or a list of them, or (like ajv's validate functions) sets
+// its errors property
+const { isObject, splitPath, toPath } = require('./paths');
+const { InvalidArgumentError } = require('./errors');
+
+const FAILURE_BEHAVIORS = ['throw', 'drop', 'deliver']; // from the strictest
+
+const isWildcard = (segment) => segment.startsWith('$');
+
+function runValidator(validator, value, context) {
+  let result;
+  try {
+    result = validator(value, context);
+  } catch (e) {
+    return [e.message];
+  }
+
+  if (result === true) {
+    return [];
+  }
+  if (typeof result === 'string') {
+    return [result];
+  }
+  if (Array.isArray(result) && result.length) {
+    return result.map(String);
+  }
+  if (Array.isArray(validator.errors) && validator.errors.length) {
+    return validator.errors.map((error) =>
+      [error.instancePath || error.dataPath, error.message]
+        .filter(Boolean)
+        .join(' '),
+    );
+  }
+  return Array.isArray(result) ? [] : ['is invalid'];
+}
+
+// validates the values nested in node (found at segments) that the rest of the pattern matches,
+// returning node with the valid ones transformed and the invalid ones of 'drop' validators
+// removed (undefined if that's node itself)
+function visit(entry, node, rest, segments, params, context) {
+  if (node === null || node === undefined) {
+    return node; // missing (or removed) values aren't validated
+  }
+
+  if (!rest.length) {
+    const details = { path: toPath(segments), params };
+    const messages = runValidator(entry.validator, node, details);
+    if (messages.length) {
+      context.fail(entry, details.path, messages);
+      return entry.onFailure === 'drop' ? undefined : node;
+    }
+    return context.transform && entry.transform
+      ? entry.transform(node, details)
+      : node;
+  }
+
+  if (!isObject(node)) {
+    return node;
+  }
+
+  const [segment, ...remaining] = rest;
+  const keys = isWildcard(segment)
+    ? Object.keys(node)
+    : [segment].filter((key) => node[key] !== undefined);
+  let result = node;
+  keys.forEach((key) => {
+    const child = visit(
+      entry,
+      node[key],
+      remaining,
+      [...segments, key],
+      isWildcard(segment) ? { ...params, [segment.slice(1)]: key } : params,
+      context,
+    );
+    if (child !== node[key]) {
+      if (result === node) {
+        result = Array.isArray(node) ? [...node] : { ...node };
+      }
+      if (child === undefined) {
+        delete result[key];
+      } else {
+        result[key] = child;
+      }
+    }
+  });
+  return result;
+}
+
+// the params of the pattern's wildcards if path is (a descendant of) a match of the pattern's
+// beginning, or null
+function matchPrefix(patternSegments, pathSegments) {
+  if (patternSegments.length < pathSegments.length) {
+    return null;
+  }
+
+  const params = {};
+  const matches = pathSegments.every((segment, i) => {
+    const patternSegment = patternSegments[i];
+    if (isWildcard(patternSegment)) {
+      params[patternSegment.slice(1)] = segment;
+      return true;
+    }
+    return patternSegment === segment;
+  });
+  return matches ? params : null;
+}
+
+// the params of the pattern's wildcards if path matches it, or null
+function matchPath(pattern, path) {
+  const patternSegments = splitPath(pattern);
+  const pathSegments = splitPath(path);
+  return patternSegments.length === pathSegments.length
+    ? matchPrefix(patternSegments, pathSegments)
+    : null;
+}
+
+function createValidators() {
+  let entries = [];
+
+  return {
+    // returns a function that removes the validator
+    add(pattern, validator, { onFailure = 'throw', transform = null } = {}) {
+      const fail = (reason) => {
+        throw new InvalidArgumentError({
+          operation: 'registerValidator',
+          reason,
+        });
+      };
+      if (typeof validator !== 'function') {
+        fail(`the validator of ${pattern} must be a function`);
+      }
+      if (!FAILURE_BEHAVIORS.includes(onFailure)) {
+        fail(
+          `unknown onFailure ${onFailure}, expected one of ${FAILURE_BEHAVIORS.join(
+            ', ',
+          )}`,
+        );
+      }
+
+      const entry = {
+        segments: splitPath(pattern),
+        validator,
+        onFailure,
+        transform,
+      };
+      entries = [...entries, entry];
+      return () => {
+        entries = entries.filter((other) => other !== entry);
+      };
+    },
+
+    // validates value, which is at path, and the values nested in it. returns the value with
+    // the valid parts transformed (when transform is set) and the invalid parts of 'drop'
+    // validators removed - undefined when that's the whole value - the errors as
+    // [{ path, message }] and the strictest onFailure of the validators that failed
+    apply(path, value, { transform = true } = {}) {
+      const pathSegments = splitPath(path);
+      const errors = [];
+      let onFailure = null;
+      const context = {
+        transform,
+        fail: (entry, failedPath, messages) => {
+          messages.forEach((message) =>
+            errors.push({ path: failedPath, message }),
+          );
+          if (
+            !onFailure ||
+            FAILURE_BEHAVIORS.indexOf(entry.onFailure) <
+              FAILURE_BEHAVIORS.indexOf(onFailure)
+          ) {
+            onFailure = entry.onFailure;
+          }
+        },
+      };
+
+      const result = entries.reduce((current, entry) => {
+        const params = matchPrefix(entry.segments, pathSegments);
+        return params
+          ? visit(
+              entry,
+              current,
+              entry.segments.slice(pathSegments.length),
+              pathSegments,
+              params,
+              context,
+            )
+          : current;
+      }, value);
+
+      return { value: result, errors, onFailure };
+    },
+  };
+}
+
+module.exports = {
+  createValidators,
+  matchPath,
+};
@@ -1,130 +1,166 @@
+// the legacy api: a thin adapter over ./experimental/firebase-service, kept for consumers that
+// still import this module. it keeps its old surface (isConnected, the "You must connect"
+// errors and the static singleton), while the connection itself is the experimental service's,
+// which reuses its firebase app across reconnections and deletes it on terminate
+const ExperimentalFirebaseService = require('./experimental/firebase-service');
+
 let firebase;
-let uuid;
+
+const warnedAbout = new Set();
+
+// warns once per api, e.g. 'new FirebaseService()'
+function warnDeprecated(api, logger = console) {
+  if (!warnedAbout.has(api)) {
+    warnedAbout.add(api);
+    logger.warn(
+      `firebase-service: ${api} of src/firebase-service is deprecated, please use the FirebaseService class of src/experimental/firebase-service instead`,
+    );
+  }
+}
 
 function getPathNameHint(path) {
   const pathNames = (path || '').split('/');
   return pathNames[pathNames.length - 1];
 }
 
-function setupService() {
-  const listeningOnRefs = [];
+// serviceOptions are the experimental service's { logger, onListenerError }: errors of listener
+// callbacks go to onListenerError(error, { path, event, key }) if given, and to logger.error
+// (console by default) otherwise
+function setupService(serviceOptions) {
+  const getLogger = () => serviceOptions.logger || console;
+  let service = null;
+  let connected = false;
   let userDisconnected = false;
-  let db = null;
+  let lastConnection = null;
 
-  const listenOnRefWithQuery = (ref, { orderBy, startAt } = {}) => {
-    if (orderBy) {
-      ref = ref.orderByChild(orderBy);
+  const getService = () => {
+    if (!service) {
+      const { logger, onListenerError } = serviceOptions;
+      service = new ExperimentalFirebaseService(undefined, {
+        firebase,
+        logger,
+        onListenerError,
+      });
     }
-    if (startAt) {
-      ref = ref.startAt(startAt);
+    return service;
+  };
+
+  // the experimental service keeps its app for reconnections, so connecting with other options
+  // starts over with a fresh one. another auth key (e.g. a refreshed token) only signs in again,
+  // keeping the listeners
+  const startOver = () => {
+    if (service) {
+      const terminated = service.terminate();
+      if (terminated && typeof terminated.catch === 'function') {
+        terminated.catch((error) => getLogger().error(error));
+      }
+      service = null;
     }
-    return {
-      when: (event) => ({
-        call: (callback) => {
-          ref.on(event, (snapshot) => {
-            try {
-              const returnValue = callback({
-                // these are the fields available in the callback from a listener
-                key: snapshot.key,
-                value: snapshot.val(),
-                ref: snapshot.ref, // a ref that can be used in listenOnRef
-              });
-              if (returnValue && typeof returnValue.catch === 'function') {
-                returnValue.catch(console.error);
-              }
-            } catch (e) {
-              console.error(e);
-            }
-          });
+  };
 
-          listeningOnRefs.push(ref);
-        },
-      }),
-    };
+  const assertConnected = (action, path) => {
+    if (!connected) {
+      throw new Error(
+        `You must connect before ${action} (path=${getPathNameHint(path)})`,
+      );
+    }
   };
 
-  const service = {
+  // the only query options of the legacy api, where startAt: null meant no bound
+  const toQuery = ({ orderBy, startAt } = {}) => ({
+    orderBy,
+    startAt: startAt === null ? undefined : startAt,
+  });
+
+  const adapter = {
+    // applies to the service of the first connect (or the first one after terminate)
+    configure: (options) => {
+      Object.assign(serviceOptions, options);
+    },
     connect: (options, authKey) => {
       userDisconnected = false;
-      return Promise.resolve()
-        .then(() => firebase.initializeApp(options, uuid()))
-        .then((app) =>
-          app
-            .auth()
-            .signInWithCustomToken(authKey)
-            .then(() => {
-              if (!userDisconnected) {
-                db = app.database();
-              }
-            }),
-        );
+      const connection = JSON.stringify(options);
+      if (lastConnection !== null && lastConnection !== connection) {
+        startOver();
+      }
+      lastConnection = connection;
+
+      const connectingService = getService();
+      return connectingService.connect(options, authKey).then(() => {
+        if (userDisconnected || connectingService !== service) {
+          connectingService.disconnect();
+        } else {
+          connected = true;
+        }
+      });
     },
     disconnect: () => {
-      listeningOnRefs.forEach((r) => r.off());
-      listeningOnRefs.length = 0;
-      db = null;
+      connected = false;
       userDisconnected = true;
+      if (service) {
+        service.disconnect();
+      }
+    },
+    // unlike disconnect, deletes the firebase app; the next connect starts with a fresh one
+    terminate: () => {
+      connected = false;
+      userDisconnected = true;
+      lastConnection = null;
+      startOver();
     },
-    terminate: () => service.disconnect(),
-    isConnected: () => !!db,
+    isConnected: () => connected,
     getFirebaseServerTime: (serverTimePath) => {
-      if (!db) {
-        throw new Error(
-          `You must connect before getting server time (path=${getPathNameHint(
-            serverTimePath,
-          )})`,
-        );
-      }
-
-      const ref = db.ref(serverTimePath);
-      return ref
-        .set(firebase.database.ServerValue.TIMESTAMP)
-        .then(() => ref.once('value').then((snapshot) => snapshot.val()));
+      assertConnected('getting server time', serverTimePath);
+      return service.getFirebaseServerTime(serverTimePath);
     },
     getValuesAtPath: ({ path }) => {
-      if (!db) {
-        throw new Error(
-          `You must connect before getting values at path (path=${getPathNameHint(
-            path,
-          )})`,
-        );
-      }
-
-      return db
-        .ref(path)
-        .once('value')
-        .then((snapshot) => snapshot.val());
+      assertConnected('getting values at path', path);
+      return service.getValuesAtPath({ path });
     },
     listenOnRef: (ref, options) => {
-      return listenOnRefWithQuery(ref, options);
+      return getService().listenOnRef(ref, toQuery(options));
     },
     listenOnPath: (path, options) => {
-      if (!db) {
-        throw new Error(
-          `You must connect before trying to listen to firebase paths (path=${getPathNameHint(
-            path,
-          )})`,
-        );
-      }
-
-      const ref = db.ref(path);
-      return listenOnRefWithQuery(ref, options);
+      assertConnected('trying to listen to firebase paths', path);
+      return service.listenOnPath(path, toQuery(options));
     },
   };
-  return service;
+  return adapter;
 }
 
 class FirebaseService {
-  constructor() {
-    firebase = require('firebase/compat/app');
-    require('firebase/database');
+  // options: { logger, onListenerError }, see setupService
+  constructor(options) {
+    const serviceOptions = { ...options };
+    warnDeprecated('new FirebaseService()', serviceOptions.logger);
+    loadFirebase();
+    Object.assign(this, setupService(serviceOptions));
+  }
+}
+
+function loadFirebase() {
+  if (!firebase) {
+    const fbApp = require('firebase/compat/app');
+    require('firebase/compat/database');
     require('firebase/compat/auth');
-    uuid = require('uuid');
-    const service = setupService();
-    Object.assign(this, service);
+    firebase = fbApp.default ? fbApp.default : fbApp;
   }
 }
 
-Object.assign(FirebaseService, setupService());
+// the static api is a single service shared by everyone importing this module, configured with
+// FirebaseService.configure({ logger, onListenerError })
+const staticOptions = {};
+const singleton = setupService(staticOptions);
+Object.keys(singleton).forEach((method) => {
+  FirebaseService[method] = (...args) => {
+    loadFirebase();
+    try {
+      return singleton[method](...args);
+    } finally {
+      // after the call, so that a logger passed to configure already gets it
+      warnDeprecated('the static FirebaseService api', staticOptions.logger);
+    }
+  };
+});
 
 module.exports = FirebaseService;
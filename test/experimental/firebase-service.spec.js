@@ -1,4 +1,8 @@
 const firebaseMock = require('../firebase-mock');
+const { createMetricsAggregator } = require('../../src/experimental/metrics');
+const {
+  createInMemoryFirebase,
+} = require('../../src/experimental/in-memory-firebase');
 const { expect, assert } = require('chai');
 const sinon = require('sinon');
 
@@ -16,6 +20,13 @@ const callAndCatch = async (fn) => {
   return error;
 };
 
+const expectFields = (object, fields) =>
+  Object.keys(fields).forEach((field) =>
+    expect(object[field]).to.equal(fields[field], field),
+  );
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
 describe('NEW (experimental) firebase service', () => {
   let sandbox;
 
@@ -83,6 +94,27 @@ describe('NEW (experimental) firebase service', () => {
     expect(firebase.spies.databaseSpy.goOnline).to.have.been.calledTwice;
   });
 
+  it('should sign in again when re-connecting with another auth key', async () => {
+    firebaseService = new FirebaseService();
+    const callback = sinon.spy();
+    await firebaseService.connect({}, 'authKey');
+    firebaseService.listenOnPath('whatever').when('event').call(callback);
+
+    await firebaseService.connect({}, 'refreshed-authKey');
+    await firebase.fireMockEvent(
+      'whatever',
+      'event',
+      firebase.createMockFirebaseSnapshot(),
+    );
+
+    expect(firebase.signInWithCustomToken.args).to.eql([
+      ['authKey'],
+      ['refreshed-authKey'],
+    ]);
+    expect(firebase.initializeApp).to.have.been.calledOnce;
+    expect(callback).to.have.been.calledOnce;
+  });
+
   it('should allow multiple consumers simultaneously', async () => {
     const callback1 = sinon.spy();
     const callback2 = sinon.spy();
@@ -226,7 +258,7 @@ describe('NEW (experimental) firebase service', () => {
         .when('event')
         .call(() => {});
     expect(fn).to.throw(
-      'FirebaseService.listenOnPath: not connected! (path=firebase-path)',
+      'FirebaseService.listenOnPath: not connected! (path=some/firebase-path)',
     );
   });
 
@@ -238,7 +270,7 @@ describe('NEW (experimental) firebase service', () => {
         .when('event')
         .call(() => {});
     expect(fn).to.throw(
-      'FirebaseService.listenOnPath: not connected! (path=path-mock)',
+      'FirebaseService.listenOnPath: not connected! (path=some/firebase/111-222-333/path-mock)',
     );
   });
 
@@ -276,6 +308,95 @@ describe('NEW (experimental) firebase service', () => {
     errorFn.restore();
   });
 
+  describe('Listener Errors', () => {
+    const error = new Error('An error occurred');
+    const throwError = () => {
+      throw error;
+    };
+
+    it('should log listener errors with the given logger', async () => {
+      const logger = { error: sinon.spy() };
+      firebaseService = new FirebaseService(undefined, { logger });
+      await firebaseService.connect();
+
+      firebaseService.listenOnPath('whatever').when('event').call(throwError);
+      await firebase.fireMockEvent(
+        'whatever',
+        'event',
+        firebase.createMockFirebaseSnapshot(),
+      );
+
+      expect(logger.error).to.have.been.calledWith(error);
+    });
+
+    it('should report listener errors with their context', async () => {
+      const onListenerError = sinon.spy();
+      firebaseService = new FirebaseService(undefined, { onListenerError });
+      await firebaseService.connect();
+
+      firebaseService
+        .listenOnPath('rooms/1')
+        .when('child_added')
+        .call(() => Promise.reject(error));
+      await firebase.fireMockEvent(
+        'rooms/1',
+        'child_added',
+        firebase.createMockFirebaseSnapshot({}, 'player-1'),
+      );
+      await flushPromises();
+
+      expect(onListenerError).to.have.been.calledWith(error, {
+        path: '/rooms/1',
+        event: 'child_added',
+        key: 'player-1',
+      });
+    });
+
+    it('should report errors of a listener on a ref with its path', async () => {
+      const onListenerError = sinon.spy();
+      firebaseService = new FirebaseService(undefined, { onListenerError });
+      await firebaseService.connect();
+
+      firebaseService
+        .listenOnRef(firebaseService.db.ref('rooms/2'))
+        .when('value')
+        .call(throwError);
+      await firebase.fireMockEvent(
+        'rooms/2',
+        'value',
+        firebase.createMockFirebaseSnapshot({}, '2'),
+      );
+
+      expect(onListenerError).to.have.been.calledWithMatch(error, {
+        path: '/rooms/2',
+      });
+    });
+
+    it('should prefer the error handler of the listener', async () => {
+      const onListenerError = sinon.spy();
+      const onError = sinon.spy();
+      firebaseService = new FirebaseService(undefined, { onListenerError });
+      await firebaseService.connect();
+
+      firebaseService
+        .listenOnPath('whatever')
+        .when('event')
+        .onError(onError)
+        .call(throwError);
+      await firebase.fireMockEvent(
+        'whatever',
+        'event',
+        firebase.createMockFirebaseSnapshot(),
+      );
+
+      expect(onError).to.have.been.calledWithMatch(error, {
+        path: '/whatever',
+        event: 'event',
+      });
+      expect(onListenerError).not.to.have.been.called;
+    });
+  });
+
   it('should support disconnecting', async () => {
     await firebaseService.connect();
     const fn = sinon.spy();
@@ -300,6 +421,59 @@ describe('NEW (experimental) firebase service', () => {
     expect(fn).not.to.have.been.called;
   });
 
+  it('should support removing a single listener', async () => {
+    await firebaseService.connect();
+    const fn1 = sinon.spy();
+    const fn2 = sinon.spy();
+
+    const unsubscribe = firebaseService
+      .listenOnPath('whatever')
+      .when('value')
+      .call(fn1);
+    firebaseService.listenOnPath('whatever').when('value').call(fn2);
+    unsubscribe();
+
+    await firebase.fireMockEvent(
+      'whatever',
+      'value',
+      firebase.createMockFirebaseSnapshot(),
+    );
+    expect(fn1).not.to.have.been.called;
+    expect(fn2).to.have.been.calledOnce;
+    expect(firebaseService.listeningOnRefs).to.have.length(1);
+  });
+
+  it('should ignore removing a listener more than once', async () => {
+    await firebaseService.connect();
+    const unsubscribe = firebaseService
+      .listenOnPath('whatever')
+      .when('value')
+      .call(() => {});
+
+    unsubscribe();
+    unsubscribe();
+
+    expect(firebase.spies.firebaseRefOffSpy).to.have.been.calledOnce;
+  });
+
+  it('should only remove its own listeners upon disconnect', async () => {
+    await firebaseService.connect();
+    const fn = sinon.spy();
+    const unrelatedFn = sinon.spy();
+
+    firebaseService.listenOnPath('whatever').when('event').call(fn);
+    firebaseService.db.ref('whatever').on('event', unrelatedFn);
+    firebaseService.disconnect();
+
+    await firebase.fireMockEvent(
+      'whatever',
+      'event',
+      firebase.createMockFirebaseSnapshot(),
+    );
+    expect(fn).not.to.have.been.called;
+    expect(unrelatedFn).to.have.been.calledOnce;
+  });
+
   it('should disconnect upon termination', async () => {
     await firebaseService.connect();
     const fn = sinon.spy();
@@ -414,31 +588,2470 @@ describe('NEW (experimental) firebase service', () => {
     expect(firebase.delete).to.have.been.calledOnce;
   });
 
-  describe('Server Time', () => {
-    const now = Date.now();
-    const serverTime = now - 1000 * 60 * 3;
+  it('should kill the app of a failed connection upon termination', async () => {
+    firebase.signInWithCustomToken = sinon
+      .stub()
+      .rejects(new Error('sign in fail mock'));
+
+    await callAndCatch(() => firebaseService.connect({}, 'authKey'));
+    await firebaseService.terminate();
+
+    expect(firebase.delete).to.have.been.calledOnce;
+  });
+
+  it('should replace the app of a failed connection when connecting with other options', async () => {
+    firebase.signInWithCustomToken = sinon.stub();
+    firebase.signInWithCustomToken
+      .onFirstCall()
+      .rejects(new Error('sign in fail mock'));
+    firebase.signInWithCustomToken.resolves();
+    firebase.delete.resolves();
+
+    await callAndCatch(() => firebaseService.connect({ prop: 1 }, 'authKey'));
+    await firebaseService.connect({ prop: 2 }, 'authKey');
+
+    expect(firebase.delete).to.have.been.calledOnce;
+    expect(firebase.initializeApp).to.have.been.calledTwice;
+    expect(firebase.initializeApp.secondCall.args[0]).to.eql({ prop: 2 });
+  });
+
+  describe('Active Listeners', () => {
+    let logger;
 
     beforeEach(() => {
-      sandbox.stub(Date, 'now').returns(now);
+      logger = { error: sinon.spy(), warn: sinon.spy() };
     });
 
-    it('should support getting server time the set&get way by default', async () => {
+    const listenTimes = (times, path, event = 'value') =>
+      Array.from({ length: times }, () =>
+        firebaseService
+          .listenOnPath(path)
+          .when(event)
+          .call(() => {}),
+      );
+
+    it('should list the active listeners', async () => {
+      sandbox.stub(Date, 'now').returns(1000);
       await firebaseService.connect();
-      firebase.mockServerTime(serverTime);
-      const actual = await firebaseService.getFirebaseServerTime('/timestamp'); // TODO the firebaseMock shouldn't hardcode the timestamp path
-      expect(actual).to.equal(serverTime);
-      expect(firebase.spies.serverTimeSpy).to.have.been.calledOnce;
+
+      firebaseService
+        .listenOnPath('/rooms', { orderBy: 'size', limitToFirst: 5 })
+        .when('child_added')
+        .call(() => {});
+      const unsubscribe = firebaseService
+        .listenOnPath('/lobby')
+        .when('value')
+        .call(() => {});
+      firebaseService
+        .listenOnPath('/scores', { throttleMs: 100 })
+        .when('value')
+        .call(() => {});
+      unsubscribe();
+
+      expect(firebaseService.getActiveListeners()).to.eql([
+        {
+          path: '/rooms',
+          query: { orderBy: 'size', limitToFirst: 5 },
+          event: 'child_added',
+          registeredAt: 1000,
+        },
+        { path: '/scores', query: {}, event: 'value', registeredAt: 1000 },
+      ]);
     });
 
-    it('should support getting server time atomically via a flag', async () => {
+    it('should warn once a path and event have more listeners than the limit', async () => {
       firebaseService = new FirebaseService(undefined, {
-        atomicServerTime: true,
+        logger,
+        redactPath: (path) => path.replace(/users\/[^/]+/, 'users/***'),
       });
       await firebaseService.connect();
-      firebase.mockServerTime(serverTime);
-      const actual = await firebaseService.getFirebaseServerTime();
-      expect(actual).to.equal(serverTime);
-      expect(firebase.spies.serverTimeSpy).to.not.have.been.called;
+
+      listenTimes(10, '/users/1');
+      listenTimes(10, '/users/1', 'child_added');
+      expect(logger.warn).not.to.have.been.called;
+
+      listenTimes(2, '/users/1');
+
+      expect(logger.warn).to.have.been.calledOnce;
+      expect(logger.warn).to.have.been.calledWith(
+        'FirebaseService: 11 listeners on value events of /users/***, they may be leaking',
+      );
+    });
+
+    it('should warn once there are more listeners than the total limit', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        logger,
+        listenerWarnings: { maxTotal: 2 },
+      });
+      await firebaseService.connect();
+
+      listenTimes(1, '/a');
+      listenTimes(1, '/b');
+      listenTimes(2, '/c');
+
+      expect(logger.warn).to.have.been.calledOnce;
+      expect(logger.warn).to.have.been.calledWith(
+        'FirebaseService: 3 active listeners, they may be leaking',
+      );
+    });
+
+    it('should not warn with listenerWarnings false', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        logger,
+        listenerWarnings: false,
+      });
+      await firebaseService.connect();
+
+      listenTimes(20, '/a');
+
+      expect(logger.warn).not.to.have.been.called;
+    });
+  });
+
+  describe('Shared Subscriptions', () => {
+    let registrations;
+
+    const listen = (path, event = 'value', query) => {
+      const callback = sinon.spy();
+      const unsubscribe = firebaseService
+        .listenOnPath(path, query)
+        .when(event)
+        .call(callback);
+      return { callback, unsubscribe };
+    };
+    const countRegistrations = () =>
+      firebase.spies.firebaseRefOnSpy.callCount - registrations;
+
+    beforeEach(async () => {
+      await firebaseService.connect();
+      registrations = firebase.spies.firebaseRefOnSpy.callCount;
+    });
+
+    it('should share one firebase listener between identical listeners', async () => {
+      const first = listen('/rooms', 'value', { orderBy: 'size' });
+      const second = listen('/rooms', 'value', { orderBy: 'size' });
+
+      await firebase.fireMockEvent(
+        '/rooms',
+        'value',
+        firebase.createMockFirebaseSnapshot({ a: 1 }),
+      );
+
+      expect(countRegistrations()).to.equal(1);
+      expect(first.callback).to.have.been.calledOnce;
+      expect(second.callback).to.have.been.calledOnce;
+      expect(firebaseService.getActiveListeners()).to.have.length(2);
+    });
+
+    it('should give the last value to listeners that join later', async () => {
+      listen('/rooms');
+      await firebase.fireMockEvent(
+        '/rooms',
+        'value',
+        firebase.createMockFirebaseSnapshot({ a: 1 }),
+      );
+
+      const late = listen('/rooms');
+
+      expect(late.callback).to.have.been.calledOnce;
+      expect(late.callback.firstCall.args[0].value).to.eql({ a: 1 });
+    });
+
+    it('should remove the firebase listener with the last of its listeners', async () => {
+      const first = listen('/rooms');
+      const second = listen('/rooms');
+
+      first.unsubscribe();
+      expect(firebase.spies.firebaseRefOffSpy).not.to.have.been.called;
+
+      second.unsubscribe();
+      expect(firebase.spies.firebaseRefOffSpy).to.have.been.calledOnce;
+
+      listen('/rooms');
+      expect(countRegistrations()).to.equal(2);
+    });
+
+    it('should not share between different queries or events', async () => {
+      listen('/rooms', 'value', { limitToFirst: 1 });
+      listen('/rooms', 'value', { limitToFirst: 2 });
+      listen('/rooms', 'child_changed');
+      listen('/rooms', 'child_changed');
+
+      expect(countRegistrations()).to.equal(3);
+    });
+
+    it('should not share child_added listeners, which start with every child', async () => {
+      listen('/rooms', 'child_added');
+      listen('/rooms', 'child_added');
+
+      expect(countRegistrations()).to.equal(2);
+    });
+
+    it('should not share listeners on refs, which may have a query of their own', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        firebase: createInMemoryFirebase({ data: { msgs: { a: 1, b: 2 } } }),
+      });
+      await firebaseService.connect({}, 'some-user');
+      const first = sinon.spy();
+      const last = sinon.spy();
+      const ref = firebaseService.db.ref('/msgs');
+
+      firebaseService
+        .listenOnRef(ref.limitToFirst(1))
+        .when('value')
+        .call(first);
+      firebaseService.listenOnRef(ref.limitToLast(1)).when('value').call(last);
+      await flushPromises();
+
+      expect(first).to.have.been.calledWithMatch({ value: { a: 1 } });
+      expect(last).to.have.been.calledWithMatch({ value: { b: 2 } });
+      firebaseService.terminate();
+    });
+
+    it('should cancel every listener of a cancelled firebase listener', async () => {
+      const onCancel = sinon.spy();
+      firebaseService
+        .listenOnPath('/rooms', { onCancel })
+        .when('value')
+        .call(() => {});
+      firebaseService
+        .listenOnPath('/rooms', { onCancel })
+        .when('value')
+        .call(() => {});
+
+      firebase.fireMockCancel(
+        '/rooms',
+        'value',
+        firebase.createPermissionDeniedError('/rooms'),
+      );
+
+      expect(onCancel).to.have.been.calledTwice;
+      expect(firebaseService.getActiveListeners()).to.eql([]);
+    });
+  });
+
+  describe('Cache', () => {
+    const fireValue = (path, value) =>
+      firebase.fireMockEvent(
+        path,
+        'value',
+        firebase.createMockFirebaseSnapshot(value, undefined, path),
+      );
+
+    beforeEach(async () => {
+      firebaseService = new FirebaseService(undefined, {
+        cache: { ttlMs: 1000 },
+      });
+      await firebaseService.connect();
+      firebase.setDataAtPath('/rooms/1', { name: 'from server' });
+    });
+
+    it('should answer reads from an active value listener on the path or an ancestor', async () => {
+      firebaseService
+        .listenOnPath('/rooms')
+        .when('value')
+        .call(() => {});
+      fireValue('/rooms', { 1: { name: 'live' } });
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'live' });
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1/name' }),
+      ).to.equal('live');
+    });
+
+    it('should not answer from listeners with a query or that were removed', async () => {
+      firebaseService
+        .listenOnPath('/rooms', { limitToFirst: 1 })
+        .when('value')
+        .call(() => {});
+      const unsubscribe = firebaseService
+        .listenOnPath('/rooms/1')
+        .when('value')
+        .call(() => {});
+      fireValue('/rooms', { 1: { name: 'live' } });
+      fireValue('/rooms/1', { name: 'live' });
+      unsubscribe();
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'from server' });
+    });
+
+    it('should not answer from listeners on refs, which may have a query of their own', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        firebase: createInMemoryFirebase({ data: { msgs: { a: 1, b: 2 } } }),
+        cache: true,
+      });
+      await firebaseService.connect({}, 'some-user');
+      firebaseService
+        .listenOnRef(firebaseService.db.ref('/msgs').limitToFirst(1))
+        .when('value')
+        .call(() => {});
+      await flushPromises();
+
+      expect(await firebaseService.getValuesAtPath({ path: '/msgs' })).to.eql({
+        a: 1,
+        b: 2,
+      });
+      firebaseService.terminate();
+    });
+
+    it('should drop cached reads of presence paths when tracking starts or stops', async () => {
+      const path = '/presence/user-1';
+      expect(await firebaseService.getValuesAtPath({ path })).to.equal(
+        undefined,
+      );
+
+      const stop = firebaseService.trackPresence(path, {
+        offlineValue: 'offline',
+      });
+      await flushPromises();
+      expect(await firebaseService.getValuesAtPath({ path })).to.equal(true);
+
+      await stop();
+      expect(await firebaseService.getValuesAtPath({ path })).to.equal(
+        'offline',
+      );
+    });
+
+    it('should drop cached reads of the paths server time samples are written to', async () => {
+      await firebaseService.getValuesAtPath({ path: '/clock' });
+
+      await firebaseService.measureServerTime({ path: '/clock', samples: 1 });
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/clock' }),
+      ).to.equal(firebase.getDataAtPath('/clock'));
+    });
+
+    it('should answer reads from previous reads until they expire', async () => {
+      const clock = sandbox.useFakeTimers(Date.now(), 'Date');
+      await firebaseService.getValuesAtPath({ path: '/rooms/1' });
+      firebase.setDataAtPath('/rooms/1', { name: 'changed' });
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'from server' });
+
+      clock.tick(1000);
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'changed' });
+    });
+
+    it('should not cache reads with a query', async () => {
+      await firebaseService.getValuesAtPath({
+        path: '/rooms/1',
+        orderBy: 'key',
+      });
+      firebase.setDataAtPath('/rooms/1', { name: 'changed' });
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'changed' });
+    });
+
+    it('should invalidate cached reads on writes to related paths', async () => {
+      await firebaseService.getValuesAtPath({ path: '/rooms/1' });
+
+      await firebaseService.setValueAtPath('/rooms/1/name', 'written');
+      firebase.setDataAtPath('/rooms/1', { name: 'written' });
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'written' });
+    });
+
+    it('should invalidate cached reads on disconnect', async () => {
+      await firebaseService.getValuesAtPath({ path: '/rooms/1' });
+      firebase.setDataAtPath('/rooms/1', { name: 'changed' });
+
+      firebaseService.disconnect();
+      await firebaseService.connect();
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'changed' });
+    });
+
+    it('should not cache without the cache option', async () => {
+      firebaseService = new FirebaseService();
+      await firebaseService.connect();
+      firebaseService
+        .listenOnPath('/rooms/1')
+        .when('value')
+        .call(() => {});
+      fireValue('/rooms/1', { name: 'live' });
+
+      expect(
+        await firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      ).to.eql({ name: 'from server' });
+    });
+  });
+
+  describe('Instrumentation', () => {
+    let instrumentation;
+
+    beforeEach(() => {
+      instrumentation = {
+        onOperationStart: sinon.spy(),
+        onOperationEnd: sinon.spy(),
+      };
+      firebaseService = new FirebaseService(undefined, { instrumentation });
+    });
+
+    const endedOperations = () =>
+      instrumentation.onOperationEnd.args.map(([operation]) => operation);
+
+    it('should report connect and reads with their duration, size and outcome', async () => {
+      await firebaseService.connect();
+      firebase.setDataAtPath('/rooms/1', { name: 'lobby' });
+      await firebaseService.getValuesAtPath({ path: '/rooms/1' });
+
+      expect(instrumentation.onOperationStart).to.have.been.calledTwice;
+      const [connect, read] = endedOperations();
+      expectFields(connect, { operation: 'connect', outcome: 'success' });
+      expectFields(read, {
+        operation: 'getValuesAtPath',
+        path: '/rooms/1',
+        outcome: 'success',
+        size: 16,
+      });
+      expect(read.durationMs).to.be.a('number');
+      expect(read.startedAt).to.be.a('number');
+    });
+
+    it('should report failed operations', async () => {
+      const error = new Error('boom');
+      await firebaseService.connect();
+      firebase.simulateErrorAtPath('/rooms/1', error);
+
+      await callAndCatch(() =>
+        firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      );
+
+      expectFields(endedOperations()[1], {
+        operation: 'getValuesAtPath',
+        outcome: 'error',
+        error,
+      });
+    });
+
+    it('should report listener registrations and delivered events', async () => {
+      await firebaseService.connect();
+      firebaseService
+        .listenOnPath('/rooms')
+        .when('child_added')
+        .call(() => {});
+
+      firebase.fireMockEvent(
+        '/rooms',
+        'child_added',
+        firebase.createMockFirebaseSnapshot({ name: 'lobby' }, '1'),
+      );
+
+      const [, registration, delivery] = endedOperations();
+      expectFields(registration, {
+        operation: 'listenOnPath',
+        path: '/rooms',
+        event: 'child_added',
+      });
+      expectFields(delivery, {
+        operation: 'listenerEvent',
+        path: '/rooms',
+        event: 'child_added',
+        outcome: 'success',
+        size: 16,
+      });
+    });
+
+    it('should log failing instrumentation hooks', async () => {
+      const logger = { error: sinon.spy() };
+      const error = new Error('hook failed');
+      firebaseService = new FirebaseService(undefined, {
+        logger,
+        instrumentation: {
+          onOperationEnd: () => {
+            throw error;
+          },
+        },
+      });
+
+      await firebaseService.connect();
+
+      expect(logger.error).to.have.been.calledWith(error);
+    });
+
+    it('should aggregate operations per path pattern', async () => {
+      const metrics = createMetricsAggregator({
+        patterns: ['/rooms/$roomId'],
+        bucketsMs: [1000],
+      });
+      firebaseService = new FirebaseService(undefined, {
+        instrumentation: [metrics, instrumentation],
+      });
+      await firebaseService.connect();
+      firebase.setDataAtPath('/rooms/1', 'a');
+      firebase.setDataAtPath('/rooms/2', 'bb');
+      firebase.simulateErrorAtPath('/rooms/3', new Error('boom'));
+
+      await firebaseService.getValuesAtPath({ path: '/rooms/1' });
+      await firebaseService.getValuesAtPath({ path: '/rooms/2' });
+      await callAndCatch(() =>
+        firebaseService.getValuesAtPath({ path: '/rooms/3' }),
+      );
+
+      const { connect, getValuesAtPath } = metrics.getMetrics();
+      expect(connect['*'].count).to.equal(1);
+      expect(getValuesAtPath['/rooms/$roomId']).to.eql({
+        count: 3,
+        errors: 1,
+        bytes: 7,
+        latency: {
+          sumMs: getValuesAtPath['/rooms/$roomId'].latency.sumMs,
+          maxMs: getValuesAtPath['/rooms/$roomId'].latency.maxMs,
+          buckets: [
+            { le: 1000, count: 3 },
+            { le: Infinity, count: 0 },
+          ],
+        },
+      });
+      expect(endedOperations()).to.have.length(4);
+
+      metrics.reset();
+      expect(metrics.getMetrics()).to.eql({});
+    });
+
+    it('should not measure delivered events without instrumentation', async () => {
+      firebaseService = new FirebaseService();
+      await firebaseService.connect();
+      const toJSON = sinon.spy();
+      const callback = sinon.spy();
+      firebaseService.listenOnPath('/rooms').when('value').call(callback);
+
+      await firebase.fireMockEvent(
+        '/rooms',
+        'value',
+        firebase.createMockFirebaseSnapshot({ toJSON }),
+      );
+
+      expect(callback).to.have.been.calledOnce;
+      expect(toJSON).not.to.have.been.called;
+    });
+
+    it('should report a failure to measure an event as a listener error', async () => {
+      const onListenerError = sinon.spy();
+      firebaseService = new FirebaseService(undefined, {
+        instrumentation,
+        onListenerError,
+      });
+      await firebaseService.connect();
+      const measureError = new Error('measure fail mock');
+      firebaseService
+        .listenOnPath('/rooms', { throttleMs: 100 })
+        .when('value')
+        .call(() => {});
+
+      await firebase.fireMockEvent(
+        '/rooms',
+        'value',
+        firebase.createMockFirebaseSnapshot({
+          toJSON: () => {
+            throw measureError;
+          },
+        }),
+      );
+
+      expect(onListenerError).to.have.been.calledOnce;
+      expect(onListenerError.firstCall.args[0]).to.equal(measureError);
+    });
+  });
+
+  describe('Listener Delivery', () => {
+    const path = '/scores';
+    let clock;
+    let callback;
+
+    const fireValue = (value) =>
+      firebase.fireMockEvent(
+        path,
+        'value',
+        firebase.createMockFirebaseSnapshot(value),
+      );
+    const fireChildAdded = (key) =>
+      firebase.fireMockEvent(
+        path,
+        'child_added',
+        firebase.createMockFirebaseSnapshot(key, key),
+      );
+    const deliveredValues = () =>
+      callback.args.map(([payload]) =>
+        Array.isArray(payload)
+          ? payload.map(({ value }) => value)
+          : payload.value,
+      );
+
+    beforeEach(async () => {
+      clock = sandbox.useFakeTimers('setTimeout', 'clearTimeout');
+      callback = sinon.spy();
+      await firebaseService.connect();
+    });
+
+    it('should drop pending payloads of a cancelled listener', () => {
+      const onCancel = sinon.spy();
+      firebaseService
+        .listenOnPath(path, { debounceMs: 100, onCancel })
+        .when('value')
+        .call(callback);
+
+      fireValue(1);
+      firebase.fireMockCancel(
+        path,
+        'value',
+        firebase.createPermissionDeniedError(path),
+      );
+      clock.tick(100);
+
+      expect(onCancel).to.have.been.calledOnce;
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('should deliver the first and then the latest value per throttle window', () => {
+      firebaseService
+        .listenOnPath(path, { throttleMs: 100 })
+        .when('value')
+        .call(callback);
+
+      fireValue(1);
+      fireValue(2);
+      fireValue(3);
+      expect(deliveredValues()).to.eql([1]);
+
+      clock.tick(100);
+      expect(deliveredValues()).to.eql([1, 3]);
+
+      clock.tick(100);
+      fireValue(4);
+      expect(deliveredValues()).to.eql([1, 3, 4]);
+    });
+
+    it('should deliver the latest value once events stop with debounceMs', () => {
+      firebaseService
+        .listenOnPath(path, { debounceMs: 50 })
+        .when('value')
+        .call(callback);
+
+      fireValue(1);
+      clock.tick(40);
+      fireValue(2);
+      clock.tick(40);
+      expect(callback).not.to.have.been.called;
+
+      clock.tick(10);
+      expect(deliveredValues()).to.eql([2]);
+    });
+
+    it('should deliver child events of a window as a batch with coalesceChildEvents', () => {
+      firebaseService
+        .listenOnPath(path, { debounceMs: 50, coalesceChildEvents: true })
+        .when('child_added')
+        .call(callback);
+
+      fireChildAdded('a');
+      fireChildAdded('b');
+      clock.tick(50);
+      fireChildAdded('c');
+      clock.tick(50);
+
+      expect(deliveredValues()).to.eql([['a', 'b'], ['c']]);
+    });
+
+    it('should coalesce the child events of a tick without a window', () => {
+      firebaseService
+        .listenOnPath(path, { coalesceChildEvents: true })
+        .when('child_added')
+        .call(callback);
+
+      fireChildAdded('a');
+      fireChildAdded('b');
+      clock.tick(0);
+
+      expect(deliveredValues()).to.eql([['a', 'b']]);
+    });
+
+    it('should drop pending deliveries on unsubscribe', () => {
+      const unsubscribe = firebaseService
+        .listenOnPath(path, { debounceMs: 50 })
+        .when('value')
+        .call(callback);
+
+      fireValue(1);
+      unsubscribe();
+      clock.tick(50);
+
+      expect(callback).not.to.have.been.called;
+    });
+
+    it('should drop pending deliveries on disconnect', () => {
+      firebaseService
+        .listenOnPath(path, { throttleMs: 100 })
+        .when('value')
+        .call(callback);
+      fireValue(1);
+      fireValue(2);
+
+      firebaseService.disconnect();
+      clock.tick(100);
+
+      expect(deliveredValues()).to.eql([1]);
+    });
+
+    it('should report errors of delayed deliveries', () => {
+      const onError = sinon.spy();
+      const error = new Error('An error occurred');
+      firebaseService
+        .listenOnPath(path, { debounceMs: 50 })
+        .when('value')
+        .onError(onError)
+        .call(() => {
+          throw error;
+        });
+
+      fireValue(1);
+      clock.tick(50);
+
+      expect(onError).to.have.been.calledWith(error, {
+        path,
+        event: 'value',
+        key: undefined,
+      });
+    });
+
+    it('should fail for both throttleMs and debounceMs', () => {
+      expect(() =>
+        firebaseService
+          .listenOnPath(path, { throttleMs: 10, debounceMs: 10 })
+          .when('value')
+          .call(callback),
+      ).to.throw(
+        FirebaseService.InvalidArgumentError,
+        "FirebaseService.listenOnPath: invalid argument, throttleMs and debounceMs can't be combined",
+      );
+    });
+  });
+
+  describe('Pagination', () => {
+    let inMemoryFirebase;
+
+    const keysOf = (page) => page.map(({ key }) => key);
+
+    beforeEach(async () => {
+      inMemoryFirebase = createInMemoryFirebase({
+        data: {
+          scores: {
+            a: { score: 1 },
+            b: { score: 2 },
+            c: { score: 2 },
+            d: { score: 2 },
+            e: { score: 3 },
+          },
+        },
+      });
+      firebaseService = new FirebaseService(undefined, {
+        firebase: inMemoryFirebase,
+      });
+      await firebaseService.connect({}, 'some-user');
+    });
+
+    afterEach(() => firebaseService.terminate());
+
+    it('should page forward through children with the same value', async () => {
+      const paginator = firebaseService.paginate('/scores', {
+        orderBy: 'score',
+        pageSize: 2,
+      });
+
+      expect(keysOf(await paginator.next())).to.eql(['a', 'b']);
+      expect(paginator.hasMore).to.equal(true);
+      expect(paginator.cursor).to.eql({ value: 2, key: 'b' });
+      expect(keysOf(await paginator.next())).to.eql(['c', 'd']);
+      expect(keysOf(await paginator.next())).to.eql(['e']);
+      expect(paginator.hasMore).to.equal(false);
+      expect(await paginator.next()).to.eql([]);
+      expect(keysOf(paginator.page)).to.eql(['e']);
+    });
+
+    it('should page back to previous pages', async () => {
+      const paginator = firebaseService.paginate('/scores', {
+        orderBy: 'score',
+        pageSize: 2,
+      });
+      await paginator.next();
+      await paginator.next();
+      await paginator.next();
+
+      expect(keysOf(await paginator.previous())).to.eql(['c', 'd']);
+      expect(paginator.hasPrevious).to.equal(true);
+      expect(paginator.hasMore).to.equal(true);
+      expect(keysOf(await paginator.previous())).to.eql(['a', 'b']);
+      expect(paginator.hasPrevious).to.equal(false);
+      expect(await paginator.previous()).to.eql([]);
+    });
+
+    it('should page backward from the last child', async () => {
+      const paginator = firebaseService.paginate('/scores', {
+        orderBy: 'score',
+        pageSize: 2,
+        direction: 'backward',
+      });
+
+      expect(keysOf(await paginator.next())).to.eql(['e', 'd']);
+      expect(keysOf(await paginator.next())).to.eql(['c', 'b']);
+      expect(keysOf(await paginator.next())).to.eql(['a']);
+      expect(paginator.hasMore).to.equal(false);
+      expect(keysOf(await paginator.previous())).to.eql(['c', 'b']);
+    });
+
+    it('should page by key and resume from a cursor', async () => {
+      const paginator = firebaseService.paginate('/scores', {
+        pageSize: 3,
+        cursor: { value: 'b', key: 'b' },
+      });
+
+      expect(await paginator.next()).to.eql([
+        { key: 'c', value: { score: 2 } },
+        { key: 'd', value: { score: 2 } },
+        { key: 'e', value: { score: 3 } },
+      ]);
+      expect(paginator.hasPrevious).to.equal(true);
+      expect(paginator.hasMore).to.equal(false);
+    });
+
+    it('should keep a live page up to date until it moves on', async () => {
+      const onChange = sinon.spy();
+      const paginator = firebaseService.paginate('/scores', {
+        orderBy: 'score',
+        pageSize: 2,
+        live: true,
+        onChange,
+      });
+
+      expect(keysOf(await paginator.next())).to.eql(['a', 'b']);
+
+      await firebaseService.setValueAtPath('/scores/b/score', 5);
+
+      expect(onChange).to.have.been.calledOnce;
+      expect(keysOf(onChange.firstCall.args[0])).to.eql(['a', 'c']);
+      expect(paginator.cursor).to.eql({ value: 2, key: 'c' });
+
+      expect(keysOf(await paginator.next())).to.eql(['d', 'e']);
+      expect(firebaseService.getActiveListeners()).to.have.length(1);
+
+      paginator.close();
+      expect(firebaseService.getActiveListeners()).to.eql([]);
+    });
+
+    [
+      [{ pageSize: 0 }, 'pageSize must be a positive integer (got 0)'],
+      [
+        { pageSize: 2, direction: 'up' },
+        "direction must be 'forward' or 'backward' (got up)",
+      ],
+    ].forEach(([options, reason]) => {
+      it(`should reject invalid options (${reason})`, () => {
+        expect(() => firebaseService.paginate('/scores', options)).to.throw(
+          `FirebaseService.paginate: invalid query, ${reason}`,
+        );
+      });
+    });
+  });
+
+  describe('Writing', () => {
+    const path = '/some-path-with-values';
+
+    beforeEach(async () => {
+      await firebaseService.connect();
+    });
+
+    it('should set a value at a path', async () => {
+      await firebaseService.setValueAtPath(path, { prop: 'value' });
+      expect(firebase.getDataAtPath(path)).to.deep.equal({ prop: 'value' });
+    });
+
+    it('should update the children of a path', async () => {
+      firebase.setDataAtPath(path, { prop: 'value', other: 'other-value' });
+      await firebaseService.updateAtPath(path, { prop: 'new-value' });
+      expect(firebase.getDataAtPath(path)).to.deep.equal({
+        prop: 'new-value',
+        other: 'other-value',
+      });
+    });
+
+    it('should update multiple paths at once', async () => {
+      await firebaseService.updateAtPaths({ '/a': 1, '/b/c': 2 });
+      expect(firebase.getDataAtPath('/a')).to.equal(1);
+      expect(firebase.getDataAtPath('/b/c')).to.equal(2);
+    });
+
+    it('should push a value to a path and return the generated key', async () => {
+      const key = await firebaseService.pushToPath(path, 'pushed-value');
+      expect(key).to.be.a('string');
+      expect(firebase.getDataAtPath(`${path}/${key}`)).to.equal('pushed-value');
+    });
+
+    it('should remove a path', async () => {
+      firebase.setDataAtPath(path, 'value');
+      await firebaseService.removeAtPath(path);
+      expect(firebase.getDataAtPath(path)).to.equal(undefined);
+    });
+
+    it('should throw an error for writing if havent previously connected', async () => {
+      await firebaseService.terminate();
+
+      expect(() => firebaseService.setValueAtPath(path, 1)).to.throw(
+        'FirebaseService.setValueAtPath: not connected! (path=/some-path-with-values)',
+      );
+      expect(() => firebaseService.updateAtPath(path, {})).to.throw(
+        'FirebaseService.updateAtPath: not connected! (path=/some-path-with-values)',
+      );
+      expect(() => firebaseService.updateAtPaths({ [path]: 1 })).to.throw(
+        'FirebaseService.updateAtPaths: not connected! (path=/some-path-with-values)',
+      );
+      expect(() => firebaseService.pushToPath(path, 1)).to.throw(
+        'FirebaseService.pushToPath: not connected! (path=/some-path-with-values)',
+      );
+      expect(() => firebaseService.removeAtPath(path)).to.throw(
+        'FirebaseService.removeAtPath: not connected! (path=/some-path-with-values)',
+      );
+    });
+  });
+
+  describe('Transactions', () => {
+    const path = '/counter';
+    const increment = (value) => (value || 0) + 1;
+
+    beforeEach(async () => {
+      await firebaseService.connect();
+    });
+
+    it('should commit the value returned by the update function', async () => {
+      firebase.setDataAtPath(path, 41);
+
+      const result = await firebaseService.runTransaction(path, increment);
+
+      expect(result).to.deep.equal({ committed: true, value: 42, retries: 0 });
+      expect(firebase.getDataAtPath(path)).to.equal(42);
+    });
+
+    it('should retry when the value was changed concurrently', async () => {
+      firebase.setDataAtPath(path, 1);
+      firebase.simulateTransactionContention(path, 10, 20);
+      const updateFn = sinon.spy(increment);
+
+      const result = await firebaseService.runTransaction(path, updateFn);
+
+      expect(result).to.deep.equal({ committed: true, value: 21, retries: 2 });
+      expect(updateFn).to.have.been.calledThrice;
+    });
+
+    it('should not commit if the update function aborts by returning undefined', async () => {
+      firebase.setDataAtPath(path, 1);
+
+      const result = await firebaseService.runTransaction(
+        path,
+        () => undefined,
+      );
+
+      expect(result).to.deep.equal({ committed: false, value: 1, retries: 0 });
+      expect(firebase.getDataAtPath(path)).to.equal(1);
+    });
+
+    it('should give up after maxRetries', async () => {
+      firebase.setDataAtPath(path, 1);
+      firebase.simulateTransactionContention(path, 10, 20, 30);
+
+      const error = await callAndCatch(() =>
+        firebaseService.runTransaction(path, increment, { maxRetries: 1 }),
+      );
+
+      expect(error.message).to.equal(
+        'FirebaseService.runTransaction: gave up after 1 retries due to conflicting writes (path=/counter)',
+      );
+      expect(error.retries).to.equal(1);
+    });
+
+    it('should count a retry of a path that is synced and really null', async () => {
+      firebase.setDataAtPath(path, null);
+      firebaseService
+        .listenOnPath(path)
+        .when('value')
+        .call(() => {});
+      await firebase.fireMockEvent(
+        path,
+        'value',
+        firebase.createMockFirebaseSnapshot(null, undefined, path),
+      );
+      firebase.simulateTransactionContention(path, 10);
+
+      const error = await callAndCatch(() =>
+        firebaseService.runTransaction(path, increment, { maxRetries: 0 }),
+      );
+
+      expect(error.code).to.equal('transaction-conflict');
+    });
+
+    it('should reject with the error thrown by the update function', async () => {
+      const updateError = new Error('update fail mock');
+
+      const error = await callAndCatch(() =>
+        firebaseService.runTransaction(path, () => {
+          throw updateError;
+        }),
+      );
+
+      expect(error).to.equal(updateError);
+    });
+
+    it('should throw an error for running a transaction if havent previously connected', async () => {
+      await firebaseService.terminate();
+
+      expect(() => firebaseService.runTransaction(path, increment)).to.throw(
+        'FirebaseService.runTransaction: not connected! (path=/counter)',
+      );
+    });
+  });
+
+  describe('Queries', () => {
+    const path = '/messages';
+
+    beforeEach(async () => {
+      await firebaseService.connect();
+      firebase.setDataAtPath(path, {
+        a: { timestamp: 3 },
+        b: { timestamp: 1 },
+        c: { timestamp: 2 },
+        d: { timestamp: 4 },
+      });
+    });
+
+    it('should get values in a range of a child', async () => {
+      const values = await firebaseService.getValuesAtPath({
+        path,
+        orderBy: 'timestamp',
+        startAfter: 1,
+        endAt: 3,
+      });
+      expect(values).to.deep.equal({
+        c: { timestamp: 2 },
+        a: { timestamp: 3 },
+      });
+    });
+
+    it('should get the last values ordered by key', async () => {
+      const values = await firebaseService.getValuesAtPath({
+        path,
+        orderBy: 'key',
+        limitToLast: 2,
+      });
+      expect(values).to.deep.equal({
+        c: { timestamp: 2 },
+        d: { timestamp: 4 },
+      });
+    });
+
+    it('should get values equal to a child value', async () => {
+      const values = await firebaseService.getValuesAtPath({
+        path,
+        orderBy: 'timestamp',
+        equalTo: 4,
+      });
+      expect(values).to.deep.equal({ d: { timestamp: 4 } });
+    });
+
+    it('should support starting at 0 when listening on a path', async () => {
+      const fn = sinon.spy();
+      firebaseService
+        .listenOnPath(path, { orderBy: 'rank', startAt: 0 })
+        .when('child_added')
+        .call(fn);
+
+      await firebase.fireMockEvent(
+        path,
+        'child_added',
+        firebase.createMockFirebaseSnapshot({ rank: 0 }),
+      );
+      await firebase.fireMockEvent(
+        path,
+        'child_added',
+        firebase.createMockFirebaseSnapshot({ rank: -1 }),
+      );
+      expect(fn).to.have.been.calledOnce;
+    });
+
+    it('should support ending before a value when listening on a path', async () => {
+      const fn = sinon.spy();
+      firebaseService
+        .listenOnPath(path, { orderBy: 'value', endBefore: 10 })
+        .when('child_added')
+        .call(fn);
+
+      await firebase.fireMockEvent(
+        path,
+        'child_added',
+        firebase.createMockFirebaseSnapshot(9),
+      );
+      await firebase.fireMockEvent(
+        path,
+        'child_added',
+        firebase.createMockFirebaseSnapshot(10),
+      );
+      expect(fn).to.have.been.calledOnce;
+    });
+
+    it('should get ordered values as entries', async () => {
+      const values = await firebaseService.getValuesAtPath({
+        path,
+        orderBy: 'timestamp',
+        ordered: true,
+      });
+      expect(values).to.deep.equal([
+        { key: 'b', value: { timestamp: 1 } },
+        { key: 'c', value: { timestamp: 2 } },
+        { key: 'a', value: { timestamp: 3 } },
+        { key: 'd', value: { timestamp: 4 } },
+      ]);
+    });
+
+    it('should deliver ordered values as entries when listening on a path', async () => {
+      const fn = sinon.spy();
+      firebaseService
+        .listenOnPath(path, { orderBy: 'timestamp', ordered: true })
+        .when('value')
+        .call(fn);
+
+      await firebase.fireMockEvent(
+        path,
+        'value',
+        firebase.createMockFirebaseSnapshot(
+          { b: { timestamp: 1 }, a: { timestamp: 3 } },
+          'messages',
+        ),
+      );
+      expect(fn).to.have.been.calledWithMatch({
+        key: 'messages',
+        value: [
+          { key: 'b', value: { timestamp: 1 } },
+          { key: 'a', value: { timestamp: 3 } },
+        ],
+      });
+    });
+
+    it('should deliver snapshot metadata when listening on a path', async () => {
+      const fn = sinon.spy();
+      firebaseService.listenOnPath(path).when('value').call(fn);
+
+      await firebase.fireMockEvent(
+        path,
+        'value',
+        firebase.createMockFirebaseSnapshot(
+          { a: 1, b: 2 },
+          'messages',
+          path,
+          7,
+        ),
+      );
+      await firebase.fireMockEvent(
+        path,
+        'value',
+        firebase.createMockFirebaseSnapshot(null, 'messages', path),
+      );
+      expect(fn.firstCall).to.have.been.calledWithMatch({
+        exists: true,
+        childrenCount: 2,
+        priority: 7,
+      });
+      expect(fn.secondCall).to.have.been.calledWithMatch({
+        exists: false,
+        childrenCount: 0,
+        priority: null,
+      });
+    });
+
+    [
+      [
+        { startAt: 1, startAfter: 1 },
+        "startAt and startAfter can't be combined",
+      ],
+      [{ endAt: 1, endBefore: 1 }, "endAt and endBefore can't be combined"],
+      [
+        { limitToFirst: 1, limitToLast: 1 },
+        "limitToFirst and limitToLast can't be combined",
+      ],
+      [
+        { orderBy: 'rank', equalTo: 1, endAt: 2 },
+        "equalTo and endAt can't be combined",
+      ],
+      [
+        { orderBy: 'key', startAt: 1 },
+        'startAt must be a string when ordering by key (got 1)',
+      ],
+      [
+        { orderBy: 'rank', endAt: {} },
+        'endAt must be a string, number, boolean or null (got [object Object])',
+      ],
+      [
+        { orderBy: 'key', startAfter: { value: 'a', key: 'a' } },
+        "startAfter can't have a key when ordering by key",
+      ],
+      [
+        { orderBy: 'rank', endBefore: { value: 1, key: '' } },
+        'endBefore key must be a non-empty string (got )',
+      ],
+      [{ limitToLast: 0 }, 'limitToLast must be a positive integer (got 0)'],
+      [
+        { orderBy: '' },
+        "orderBy must be 'key', 'value' or a child path (got )",
+      ],
+      [{ limitTolast: 1 }, 'unknown option limitTolast'],
+    ].forEach(([query, reason]) => {
+      it(`should reject an invalid query (${reason})`, () => {
+        expect(() => firebaseService.listenOnPath(path, query)).to.throw(
+          `FirebaseService.listenOnPath: invalid query, ${reason}`,
+        );
+        expect(() =>
+          firebaseService.getValuesAtPath({ path, ...query }),
+        ).to.throw(`FirebaseService.getValuesAtPath: invalid query, ${reason}`);
+      });
+    });
+  });
+
+  describe('Errors', () => {
+    const path = '/rooms/room-1/players';
+
+    it('should throw a NotConnectedError with the full path', () => {
+      let error;
+      try {
+        firebaseService.getValuesAtPath({ path });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).to.be.an.instanceOf(FirebaseService.NotConnectedError);
+      expect(error).to.be.an.instanceOf(FirebaseService.FirebaseServiceError);
+      expectFields(error, {
+        name: 'NotConnectedError',
+        code: 'not-connected',
+        operation: 'getValuesAtPath',
+        path,
+      });
+    });
+
+    it('should redact paths of errors', () => {
+      firebaseService = new FirebaseService(undefined, {
+        redactPath: (p) => p.replace(/room-\d+/, '***'),
+      });
+
+      expect(() => firebaseService.listenOnPath(path)).to.throw(
+        'FirebaseService.listenOnPath: not connected! (path=/rooms/***/players)',
+      );
+    });
+
+    it('should throw a TerminatedError when connecting after termination', async () => {
+      await firebaseService.terminate();
+
+      const error = await callAndCatch(() => firebaseService.connect());
+
+      expect(error).to.be.an.instanceOf(FirebaseService.TerminatedError);
+      expectFields(error, { code: 'terminated', operation: 'connect' });
+    });
+
+    it('should map permission errors of the sdk', async () => {
+      const sdkError = firebase.createPermissionDeniedError(path);
+      firebase.simulateErrorAtPath(path, sdkError);
+      await firebaseService.connect();
+
+      const error = await callAndCatch(() =>
+        firebaseService.getValuesAtPath({ path }),
+      );
+
+      expect(error).to.be.an.instanceOf(FirebaseService.PermissionDeniedError);
+      expect(error.message).to.equal(
+        `FirebaseService.getValuesAtPath: permission denied (path=${path})`,
+      );
+      expectFields(error, {
+        code: 'permission-denied',
+        path,
+        cause: sdkError,
+      });
+    });
+
+    it('should map auth errors of the sdk', async () => {
+      const sdkError = Object.assign(new Error('invalid token mock'), {
+        code: 'auth/invalid-custom-token',
+      });
+      firebase.signInWithCustomToken = sinon.stub().rejects(sdkError);
+
+      const error = await callAndCatch(() => firebaseService.connect());
+
+      expect(error).to.be.an.instanceOf(FirebaseService.AuthenticationError);
+      expectFields(error, {
+        code: 'authentication-failed',
+        operation: 'connect',
+        cause: sdkError,
+      });
+    });
+
+    it('should keep errors it has no matching class for', async () => {
+      const sdkError = new Error('unknown error mock');
+      firebase.simulateErrorAtPath(path, sdkError);
+      await firebaseService.connect();
+
+      const error = await callAndCatch(() =>
+        firebaseService.setValueAtPath(path, 1),
+      );
+
+      expect(error).to.equal(sdkError);
+    });
+
+    it('should throw a ConnectTimeoutError if connecting takes too long', async () => {
+      const clock = sandbox.useFakeTimers('setTimeout', 'clearTimeout');
+      firebase.signInWithCustomToken = sinon
+        .stub()
+        .returns(new Promise(() => {}));
+
+      const connectPromise = callAndCatch(() =>
+        firebaseService.connect({}, 'authKey', { timeoutMs: 1000 }),
+      );
+      await flushPromises();
+      clock.tick(1000);
+      const error = await connectPromise;
+
+      expect(error).to.be.an.instanceOf(FirebaseService.ConnectTimeoutError);
+      expectFields(error, { code: 'connect-timeout', timeoutMs: 1000 });
+      expect(firebaseService.db).to.equal(null);
+    });
+
+    it('should throw typed errors for invalid queries and transaction conflicts', async () => {
+      await firebaseService.connect();
+      firebase.simulateTransactionContention(path, 1, 2);
+
+      const queryError = await callAndCatch(() =>
+        firebaseService.getValuesAtPath({ path, limitToFirst: -1 }),
+      );
+      const transactionError = await callAndCatch(() =>
+        firebaseService.runTransaction(path, () => 0, { maxRetries: 0 }),
+      );
+
+      expect(queryError).to.be.an.instanceOf(FirebaseService.InvalidQueryError);
+      expect(queryError.code).to.equal('invalid-query');
+      expect(transactionError).to.be.an.instanceOf(
+        FirebaseService.TransactionConflictError,
+      );
+      expectFields(transactionError, {
+        code: 'transaction-conflict',
+        retries: 0,
+      });
+    });
+  });
+
+  describe('Connection State', () => {
+    it('should be offline before connecting', () => {
+      expect(firebaseService.getConnectionState()).to.equal('offline');
+    });
+
+    it('should be connecting while waiting for the connection', async () => {
+      const connectPromise = firebaseService.connect();
+      expect(firebaseService.getConnectionState()).to.equal('connecting');
+
+      await connectPromise;
+      expect(firebaseService.getConnectionState()).to.equal('connected');
+    });
+
+    it('should notify about connection state changes', async () => {
+      const onChange = sinon.spy();
+      firebaseService.onConnectionStateChange(onChange);
+
+      await firebaseService.connect();
+      firebase.simulateNetworkState(false);
+      firebase.simulateNetworkState(true);
+      firebaseService.disconnect();
+      await firebaseService.connect();
+      firebaseService.terminate();
+
+      expect(onChange.args.map(([state]) => state)).to.deep.equal([
+        'connecting',
+        'connected',
+        'offline',
+        'connected',
+        'offline',
+        'connecting',
+        'connected',
+        'terminated',
+      ]);
+    });
+
+    it('should stay connecting until the socket is actually connected', async () => {
+      firebase.simulateNetworkState(false);
+
+      await firebaseService.connect();
+      expect(firebaseService.getConnectionState()).to.equal('connecting');
+
+      firebase.simulateNetworkState(true);
+      expect(firebaseService.getConnectionState()).to.equal('connected');
+    });
+
+    it('should go offline if connecting failed', async () => {
+      firebase.initializeApp = sinon
+        .stub()
+        .returns(Promise.reject(new Error('init fail mock')));
+
+      await callAndCatch(() => firebaseService.connect());
+      expect(firebaseService.getConnectionState()).to.equal('offline');
+    });
+
+    it('should support to stop observing connection state changes', async () => {
+      const onChange = sinon.spy();
+      const unsubscribe = firebaseService.onConnectionStateChange(onChange);
+      unsubscribe();
+
+      await firebaseService.connect();
+      expect(onChange).not.to.have.been.called;
+    });
+
+    it('should stop listening on the connection state upon termination', async () => {
+      await firebaseService.connect();
+      firebaseService.terminate();
+
+      firebase.simulateNetworkState(false);
+      expect(firebaseService.getConnectionState()).to.equal('terminated');
+    });
+  });
+
+  describe('Presence', () => {
+    const path = '/presence/user-1';
+    const presenceValues = { onlineValue: 'online', offlineValue: 'offline' };
+
+    beforeEach(async () => {
+      await firebaseService.connect();
+    });
+
+    it('should mark a path as online, and as offline upon disconnection', async () => {
+      firebaseService.trackPresence(path, presenceValues);
+      await flushPromises();
+      expect(firebase.getDataAtPath(path)).to.equal('online');
+
+      firebase.mockDisconnect();
+      expect(firebase.getDataAtPath(path)).to.equal('offline');
+    });
+
+    it('should mark a path as online again after reconnecting', async () => {
+      firebaseService.trackPresence(path, presenceValues);
+      await flushPromises();
+
+      firebase.simulateNetworkState(false);
+      firebase.mockDisconnect();
+      firebase.simulateNetworkState(true);
+      await flushPromises();
+
+      expect(firebase.getDataAtPath(path)).to.equal('online');
+    });
+
+    it('should support multiple devices of the same user', async () => {
+      const otherDevice = new FirebaseService();
+      await otherDevice.connect();
+
+      firebaseService.trackPresence(path, { multipleDevices: true });
+      const stopOtherDevice = otherDevice.trackPresence(path, {
+        multipleDevices: true,
+      });
+      await flushPromises();
+      expect(firebase.getDataAtPath(`${path}/push-key-1`)).to.equal(true);
+      expect(firebase.getDataAtPath(`${path}/push-key-2`)).to.equal(true);
+
+      await stopOtherDevice();
+      expect(firebase.getDataAtPath(`${path}/push-key-1`)).to.equal(true);
+      expect(firebase.getDataAtPath(`${path}/push-key-2`)).to.equal(undefined);
+
+      firebase.mockDisconnect();
+      expect(firebase.getDataAtPath(`${path}/push-key-1`)).to.equal(undefined);
+    });
+
+    it('should mark a path as offline once tracking stops', async () => {
+      const stop = firebaseService.trackPresence(path, presenceValues);
+      await flushPromises();
+
+      await stop();
+      expect(firebase.getDataAtPath(path)).to.equal('offline');
+
+      firebase.setDataAtPath(path, 'changed-after-stop');
+      firebase.mockDisconnect();
+      expect(firebase.getDataAtPath(path)).to.equal('changed-after-stop');
+    });
+
+    it('should stop tracking upon disconnect', async () => {
+      firebaseService.trackPresence(path, presenceValues);
+      await flushPromises();
+
+      firebaseService.disconnect();
+      firebase.mockDisconnect();
+      await firebaseService.connect();
+      await flushPromises();
+
+      expect(firebase.getDataAtPath(path)).to.equal('offline');
+    });
+
+    it('should throw an error for tracking presence if havent previously connected', async () => {
+      await firebaseService.terminate();
+
+      expect(() => firebaseService.trackPresence(path)).to.throw(
+        'FirebaseService.trackPresence: not connected! (path=/presence/user-1)',
+      );
+    });
+  });
+
+  describe('Connect Retry', () => {
+    const networkError = Object.assign(new Error('network error mock'), {
+      code: 'auth/network-request-failed',
+    });
+    let clock;
+
+    beforeEach(() => {
+      clock = sandbox.useFakeTimers('setTimeout', 'clearTimeout');
+    });
+
+    it('should retry a transient failure with exponential backoff', async () => {
+      firebase.signInWithCustomToken = sinon.stub();
+      firebase.signInWithCustomToken.onFirstCall().rejects(networkError);
+      firebase.signInWithCustomToken.onSecondCall().rejects(networkError);
+      firebase.signInWithCustomToken.resolves();
+
+      const connectPromise = firebaseService.connect({}, 'authKey', {
+        retry: { attempts: 3, baseDelayMs: 100 },
+      });
+      await flushPromises();
+      expect(firebase.signInWithCustomToken).to.have.been.calledOnce;
+
+      clock.tick(100);
+      await flushPromises();
+      expect(firebase.signInWithCustomToken).to.have.been.calledTwice;
+
+      clock.tick(199);
+      await flushPromises();
+      expect(firebase.signInWithCustomToken).to.have.been.calledTwice;
+
+      clock.tick(1);
+      await connectPromise;
+      expect(firebase.signInWithCustomToken).to.have.been.calledThrice;
+      expect(firebase.initializeApp).to.have.been.calledOnce;
+      expect(firebaseService.getConnectionState()).to.equal('connected');
+    });
+
+    it('should not wait longer than maxDelayMs between attempts', async () => {
+      firebase.signInWithCustomToken = sinon.stub();
+      firebase.signInWithCustomToken.onFirstCall().rejects(networkError);
+      firebase.signInWithCustomToken.onSecondCall().rejects(networkError);
+      firebase.signInWithCustomToken.resolves();
+
+      const connectPromise = firebaseService.connect({}, 'authKey', {
+        retry: { attempts: 3, baseDelayMs: 100, maxDelayMs: 150 },
+      });
+      await flushPromises();
+      clock.tick(100);
+      await flushPromises();
+      clock.tick(150);
+      await connectPromise;
+
+      expect(firebase.signInWithCustomToken).to.have.been.calledThrice;
+    });
+
+    it('should fail once all attempts failed', async () => {
+      firebase.signInWithCustomToken = sinon.stub().rejects(networkError);
+
+      const connectPromise = callAndCatch(() =>
+        firebaseService.connect({}, 'authKey', {
+          retry: { attempts: 2, baseDelayMs: 100 },
+        }),
+      );
+      await flushPromises();
+      clock.tick(100);
+
+      expect((await connectPromise).cause).to.equal(networkError);
+      expect(firebase.signInWithCustomToken).to.have.been.calledTwice;
+      expect(firebaseService.getConnectionState()).to.equal('offline');
+    });
+
+    it('should not retry a fatal auth error', async () => {
+      const fatalError = Object.assign(new Error('invalid token mock'), {
+        code: 'auth/invalid-custom-token',
+      });
+      firebase.signInWithCustomToken = sinon.stub().rejects(fatalError);
+
+      const error = await callAndCatch(() =>
+        firebaseService.connect({}, 'authKey', { retry: { attempts: 3 } }),
+      );
+
+      expect(error.cause).to.equal(fatalError);
+      expect(firebase.signInWithCustomToken).to.have.been.calledOnce;
+    });
+
+    it('should support deciding which errors to retry', async () => {
+      firebase.signInWithCustomToken = sinon.stub().rejects(networkError);
+
+      const error = await callAndCatch(() =>
+        firebaseService.connect({}, 'authKey', {
+          retry: { attempts: 3, retryOn: () => false },
+        }),
+      );
+
+      expect(error.cause).to.equal(networkError);
+      expect(firebase.signInWithCustomToken).to.have.been.calledOnce;
+    });
+
+    it('should not complete connection if terminated while waiting to retry', async () => {
+      firebase.signInWithCustomToken = sinon.stub().rejects(networkError);
+
+      const connectPromise = firebaseService.connect({}, 'authKey', {
+        retry: { attempts: 3, baseDelayMs: 100 },
+      });
+      await flushPromises();
+      await firebaseService.terminate();
+      await connectPromise;
+
+      expect(firebase.signInWithCustomToken).to.have.been.calledOnce;
+      expect(firebase.database).not.to.have.been.called;
+      expect(firebase.delete).to.have.been.calledOnce;
+      expect(firebaseService.getConnectionState()).to.equal('terminated');
+    });
+  });
+
+  describe('Auth Strategies', () => {
+    it('should sign in with a custom token by default', async () => {
+      await firebaseService.connect({}, 'authKey');
+      expect(firebase.signInWithCustomToken).to.have.been.calledWith('authKey');
+    });
+
+    it('should support signing in anonymously', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        authStrategy: 'anonymous',
+      });
+      await firebaseService.connect({});
+
+      expect(firebase.signInAnonymously).to.have.been.calledOnce;
+      expect(firebase.signInWithCustomToken).not.to.have.been.called;
+    });
+
+    it('should support signing in with email and password', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        authStrategy: 'emailPassword',
+      });
+      await firebaseService.connect(
+        {},
+        { email: 'someone@example.com', password: 'secret' },
+      );
+
+      expect(firebase.signInWithEmailAndPassword).to.have.been.calledWith(
+        'someone@example.com',
+        'secret',
+      );
+    });
+
+    it('should support skipping sign in for an already authenticated app', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        authStrategy: 'none',
+      });
+      await firebaseService.connect({});
+
+      expect(firebase.signInWithCustomToken).not.to.have.been.called;
+      expect(firebaseService.getConnectionState()).to.equal('connected');
+    });
+
+    it('should support a custom auth strategy', async () => {
+      const authStrategy = sinon.stub().resolves();
+      firebaseService = new FirebaseService(undefined, { authStrategy });
+      await firebaseService.connect({}, 'authKey');
+
+      expect(authStrategy).to.have.been.calledWith(firebase, 'authKey');
+    });
+
+    it('should sign in again using the auth strategy with a key provider', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        authStrategy: 'anonymous',
+      });
+      await firebaseService.connect({}, () => null);
+
+      firebase.mockAuthStateChange(null);
+      await flushPromises();
+
+      expect(firebase.signInAnonymously).to.have.been.calledTwice;
+    });
+
+    it('should fail for an unknown auth strategy', () => {
+      expect(
+        () => new FirebaseService(undefined, { authStrategy: 'magicLink' }),
+      ).to.throw(
+        'FirebaseService: unknown auth strategy magicLink, expected one of customToken, anonymous, emailPassword, none or a function',
+      );
+    });
+  });
+
+  describe('Validation', () => {
+    const playerPattern = '/rooms/$roomId/players/$playerId';
+    const hasName = (player) => typeof player.name === 'string';
+    let logger;
+
+    beforeEach(async () => {
+      logger = { error: sinon.spy(), warn: sinon.spy() };
+      firebaseService = new FirebaseService(undefined, { logger });
+      await firebaseService.connect();
+    });
+
+    it('should reject reads of invalid values, including nested ones', async () => {
+      firebaseService.registerValidator(playerPattern, hasName);
+      firebase.setDataAtPath('/rooms/1', {
+        players: { a: { name: 'A' }, b: { score: 1 } },
+      });
+
+      const error = await callAndCatch(() =>
+        firebaseService.getValuesAtPath({ path: '/rooms/1' }),
+      );
+
+      expect(error).to.be.an.instanceof(FirebaseService.ValidationError);
+      expectFields(error, {
+        code: 'validation-failed',
+        message:
+          'FirebaseService.getValuesAtPath: invalid value, /rooms/1/players/b is invalid (path=/rooms/1)',
+      });
+      expect(error.errors).to.eql([
+        { path: '/rooms/1/players/b', message: 'is invalid' },
+      ]);
+    });
+
+    it('should transform valid values with the wildcard params', async () => {
+      firebaseService.registerValidator(playerPattern, hasName, {
+        transform: (player, { params }) => ({ ...player, ...params }),
+      });
+      firebase.setDataAtPath('/rooms/1/players/a', { name: 'A' });
+
+      const player = await firebaseService.getValuesAtPath({
+        path: '/rooms/1/players/a',
+      });
+
+      expect(player).to.eql({ name: 'A', roomId: '1', playerId: 'a' });
+    });
+
+    it('should drop invalid values read with onFailure drop', async () => {
+      firebaseService.registerValidator(playerPattern, hasName, {
+        onFailure: 'drop',
+      });
+      firebase.setDataAtPath('/rooms/1/players/a', { score: 1 });
+
+      const player = await firebaseService.getValuesAtPath({
+        path: '/rooms/1/players/a',
+      });
+
+      expect(player).to.equal(null);
+      expect(logger.warn).to.have.been.calledOnce;
+    });
+
+    it('should drop only the invalid values nested in a read', async () => {
+      firebaseService.registerValidator(playerPattern, hasName, {
+        onFailure: 'drop',
+      });
+      const players = { a: { name: 'A' }, b: { score: 1 } };
+      firebase.setDataAtPath('/rooms', { 1: { players } });
+      firebase.setDataAtPath('/rooms/1/players', players);
+
+      expect(await firebaseService.getValuesAtPath({ path: '/rooms' })).to.eql({
+        1: { players: { a: { name: 'A' } } },
+      });
+      expect(
+        await firebaseService.getValuesAtPath({
+          path: '/rooms/1/players',
+          ordered: true,
+        }),
+      ).to.eql([{ key: 'a', value: { name: 'A' } }]);
+      expect(logger.warn).to.have.been.calledTwice;
+    });
+
+    it('should drop only the invalid values nested in a listener payload', async () => {
+      const callback = sinon.spy();
+      firebaseService.registerValidator(playerPattern, hasName, {
+        onFailure: 'drop',
+      });
+      firebaseService
+        .listenOnPath('/rooms/1/players')
+        .when('value')
+        .call(callback);
+
+      firebase.fireMockEvent(
+        '/rooms/1/players',
+        'value',
+        firebase.createMockFirebaseSnapshot({
+          a: { name: 'A' },
+          b: { score: 1 },
+        }),
+      );
+
+      expect(callback).to.have.been.calledOnce;
+      expect(callback.firstCall.args[0].value).to.eql({ a: { name: 'A' } });
+      expect(callback.firstCall.args[0]).not.to.have.property(
+        'validationErrors',
+      );
+    });
+
+    it('should use the errors of json schema validators', async () => {
+      const validate = () => {
+        validate.errors = [
+          { instancePath: '/name', message: 'must be string' },
+        ];
+        return false;
+      };
+      firebaseService.registerValidator(playerPattern, validate);
+      firebase.setDataAtPath('/rooms/1/players/a', { name: 1 });
+
+      const error = await callAndCatch(() =>
+        firebaseService.getValuesAtPath({ path: '/rooms/1/players/a' }),
+      );
+
+      expect(error.errors).to.eql([
+        { path: '/rooms/1/players/a', message: '/name must be string' },
+      ]);
+    });
+
+    it('should deliver invalid listener payloads with their errors with onFailure deliver', async () => {
+      const callback = sinon.spy();
+      firebaseService.registerValidator(playerPattern, () => 'needs a name', {
+        onFailure: 'deliver',
+      });
+      firebaseService
+        .listenOnPath('/rooms/1/players')
+        .when('child_added')
+        .call(callback);
+
+      firebase.fireMockEvent(
+        '/rooms/1/players',
+        'child_added',
+        firebase.createMockFirebaseSnapshot({ score: 1 }, 'a'),
+      );
+
+      expect(callback).to.have.been.calledOnce;
+      expect(callback.firstCall.args[0].validationErrors).to.eql([
+        { path: '/rooms/1/players/a', message: 'needs a name' },
+      ]);
+    });
+
+    it('should drop invalid listener payloads with onFailure drop', async () => {
+      const callback = sinon.spy();
+      firebaseService.registerValidator(playerPattern, hasName, {
+        onFailure: 'drop',
+      });
+      firebaseService
+        .listenOnPath('/rooms/1/players')
+        .when('child_added')
+        .call(callback);
+
+      ['a', 'b'].forEach((key) =>
+        firebase.fireMockEvent(
+          '/rooms/1/players',
+          'child_added',
+          firebase.createMockFirebaseSnapshot(
+            key === 'a' ? { name: 'A' } : {},
+            key,
+          ),
+        ),
+      );
+
+      expect(callback).to.have.been.calledOnce;
+      expect(callback.firstCall.args[0].key).to.equal('a');
+      expect(logger.warn).to.have.been.calledOnce;
+    });
+
+    it('should report invalid listener payloads as listener errors by default', async () => {
+      const callback = sinon.spy();
+      const onError = sinon.spy();
+      firebaseService.registerValidator(playerPattern, hasName);
+      firebaseService
+        .listenOnPath('/rooms/1/players/a')
+        .when('value')
+        .onError(onError)
+        .call(callback);
+
+      firebase.fireMockEvent(
+        '/rooms/1/players/a',
+        'value',
+        firebase.createMockFirebaseSnapshot({}, 'a'),
+      );
+
+      expect(callback).not.to.have.been.called;
+      expect(onError).to.have.been.calledOnce;
+      expect(onError.firstCall.args[0]).to.be.an.instanceof(
+        FirebaseService.ValidationError,
+      );
+    });
+
+    it('should reject writes of invalid values, whatever onFailure is', async () => {
+      firebaseService.registerValidator(playerPattern, hasName, {
+        onFailure: 'deliver',
+      });
+
+      const errors = await Promise.all([
+        callAndCatch(() =>
+          firebaseService.setValueAtPath('/rooms/1/players/a', {}),
+        ),
+        callAndCatch(() =>
+          firebaseService.updateAtPath('/rooms/1/players', { a: {} }),
+        ),
+        callAndCatch(() =>
+          firebaseService.updateAtPaths({ '/rooms/1/players/a': {} }),
+        ),
+        callAndCatch(() => firebaseService.pushToPath('/rooms/1/players', {})),
+      ]);
+
+      errors.forEach((error) =>
+        expect(error).to.be.an.instanceof(FirebaseService.ValidationError),
+      );
+      expect(firebase.getDataAtPath('/rooms/1/players/a')).to.equal(undefined);
+    });
+
+    it('should write valid values and removals', async () => {
+      firebaseService.registerValidator(playerPattern, hasName);
+
+      await firebaseService.setValueAtPath('/rooms/1/players/a', { name: 'A' });
+      await firebaseService.updateAtPath('/rooms/1/players', { b: null });
+
+      expect(firebase.getDataAtPath('/rooms/1/players/a')).to.eql({
+        name: 'A',
+      });
+    });
+
+    it('should stop validating once the validator is removed', async () => {
+      const removeValidator = firebaseService.registerValidator(
+        playerPattern,
+        hasName,
+      );
+
+      removeValidator();
+
+      await firebaseService.setValueAtPath('/rooms/1/players/a', {});
+    });
+
+    it('should fail for an unknown onFailure', () => {
+      expect(() =>
+        firebaseService.registerValidator(playerPattern, hasName, {
+          onFailure: 'ignore',
+        }),
+      ).to.throw(
+        FirebaseService.InvalidArgumentError,
+        'FirebaseService.registerValidator: invalid argument, unknown onFailure ignore, expected one of throw, drop, deliver',
+      );
+    });
+
+    it('should fail for a validator that is not a function', () => {
+      expect(() =>
+        firebaseService.registerValidator(playerPattern, { type: 'object' }),
+      ).to.throw(
+        FirebaseService.InvalidArgumentError,
+        `FirebaseService.registerValidator: invalid argument, the validator of ${playerPattern} must be a function`,
+      );
+    });
+  });
+
+  describe('Emulator', () => {
+    const emulatorEnv = [
+      'FIREBASE_DATABASE_EMULATOR_HOST',
+      'FIREBASE_AUTH_EMULATOR_HOST',
+    ];
+    let savedEnv;
+
+    beforeEach(() => {
+      savedEnv = emulatorEnv.map((variable) => process.env[variable]);
+      emulatorEnv.forEach((variable) => delete process.env[variable]);
+    });
+
+    afterEach(() => {
+      emulatorEnv.forEach((variable, i) => {
+        if (savedEnv[i] === undefined) {
+          delete process.env[variable];
+        } else {
+          process.env[variable] = savedEnv[i];
+        }
+      });
+    });
+
+    const decodeToken = (token) =>
+      JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
+
+    it('should connect to the emulators given', async () => {
+      await firebaseService.connect({}, 'authKey', {
+        emulator: {
+          databaseHost: 'localhost',
+          databasePort: 9001,
+          authHost: 'localhost:9099',
+        },
+      });
+
+      expect(firebase.spies.databaseSpy.useEmulator).to.have.been.calledWith(
+        'localhost',
+        9001,
+      );
+      expect(firebase.useEmulator).to.have.been.calledWith(
+        'http://localhost:9099',
+      );
+      expect(firebase.signInWithCustomToken).to.have.been.calledWith('authKey');
+    });
+
+    it('should detect the emulators from the environment', async () => {
+      process.env.FIREBASE_DATABASE_EMULATOR_HOST = '127.0.0.1:9000';
+      process.env.FIREBASE_AUTH_EMULATOR_HOST = '127.0.0.1:9099';
+
+      await firebaseService.connect({}, 'authKey');
+
+      expect(firebase.spies.databaseSpy.useEmulator).to.have.been.calledWith(
+        '127.0.0.1',
+        9000,
+      );
+      expect(firebase.useEmulator).to.have.been.calledWith(
+        'http://127.0.0.1:9099',
+      );
+    });
+
+    it('should ignore the environment with emulator: false', async () => {
+      process.env.FIREBASE_DATABASE_EMULATOR_HOST = '127.0.0.1:9000';
+
+      await firebaseService.connect({}, 'authKey', { emulator: false });
+
+      expect(firebase.spies.databaseSpy.useEmulator).not.to.have.been.called;
+    });
+
+    it('should not use the emulators by default', async () => {
+      await firebaseService.connect({}, 'authKey');
+
+      expect(firebase.spies.databaseSpy.useEmulator).not.to.have.been.called;
+      expect(firebase.useEmulator).not.to.have.been.called;
+    });
+
+    it('should sign in with an unsigned token given the claims', async () => {
+      await firebaseService.connect(
+        {},
+        { uid: 'some-user', admin: true },
+        { emulator: { authHost: 'localhost:9099' } },
+      );
+
+      const [token] = firebase.signInWithCustomToken.firstCall.args;
+      expect(token.split('.')[2]).to.equal('');
+      expect(decodeToken(token)).to.include({ uid: 'some-user' });
+      expect(decodeToken(token).claims).to.eql({ admin: true });
+    });
+
+    it("should create unsigned tokens without node's Buffer", async () => {
+      const { Buffer } = global;
+      global.Buffer = undefined; // as in browsers and react native
+      try {
+        await firebaseService.connect(
+          {},
+          { uid: 'some-user', name: 'Zoë 🎲' },
+          { emulator: { authHost: 'localhost:9099' } },
+        );
+      } finally {
+        global.Buffer = Buffer;
+      }
+
+      const [token] = firebase.signInWithCustomToken.firstCall.args;
+      expect(decodeToken(token).claims).to.eql({ name: 'Zoë 🎲' });
+    });
+  });
+
+  describe('Listener Cancellation', () => {
+    const path = '/rooms/1';
+
+    beforeEach(async () => {
+      await firebaseService.connect();
+    });
+
+    it('should report a cancelled listener to its onCancel option', async () => {
+      const onCancel = sinon.spy();
+      firebaseService
+        .listenOnPath(path, { onCancel })
+        .when('value')
+        .call(() => {});
+
+      firebase.fireMockCancel(
+        path,
+        'value',
+        firebase.createPermissionDeniedError(path),
+      );
+
+      expect(onCancel).to.have.been.calledOnce;
+      const [error, context] = onCancel.firstCall.args;
+      expect(error).to.be.an.instanceOf(FirebaseService.PermissionDeniedError);
+      expectFields(error, { operation: 'listenOnPath', path });
+      expect(context).to.deep.equal({ path, event: 'value' });
+    });
+
+    it('should notify about cancelled listeners', async () => {
+      const onListenerCancelled = sinon.spy();
+      firebaseService.onListenerCancelled(onListenerCancelled);
+      firebaseService
+        .listenOnRef(firebaseService.db.ref(path))
+        .when('child_added')
+        .call(() => {});
+
+      firebase.fireMockCancel(
+        path,
+        'child_added',
+        firebase.createPermissionDeniedError(path),
+      );
+
+      expect(onListenerCancelled).to.have.been.calledWithMatch(
+        sinon.match.instanceOf(FirebaseService.PermissionDeniedError),
+        { path, event: 'child_added' },
+      );
+    });
+
+    it('should remove a cancelled listener', async () => {
+      const unsubscribe = firebaseService
+        .listenOnPath(path)
+        .when('value')
+        .call(() => {});
+
+      firebase.fireMockCancel(
+        path,
+        'value',
+        firebase.createPermissionDeniedError(path),
+      );
+      unsubscribe();
+
+      expect(firebaseService.listeningOnRefs).to.have.length(0);
+      expect(firebase.spies.firebaseRefOffSpy).not.to.have.been.called;
+    });
+
+    it('should report a cancelled listener if signing in again failed', async () => {
+      const onCancel = sinon.spy();
+      firebaseService = new FirebaseService(undefined, {
+        logger: { error: () => {} },
+      });
+      await firebaseService.connect({}, () => 'token');
+      firebaseService
+        .listenOnPath(path, { onCancel })
+        .when('value')
+        .call(() => {});
+      firebase.signInWithCustomToken = sinon
+        .stub()
+        .rejects(new Error('sign in fail mock'));
+
+      firebase.fireMockCancel(
+        path,
+        'value',
+        firebase.createPermissionDeniedError(path),
+      );
+      expect(onCancel).not.to.have.been.called;
+      await flushPromises();
+
+      expect(onCancel).to.have.been.calledOnce;
+      expect(firebaseService.listeningOnRefs).to.have.length(0);
+    });
+  });
+
+  describe('Token Provider', () => {
+    const path = 'whatever';
+    let tokenProvider;
+
+    beforeEach(() => {
+      let tokens = 0;
+      tokenProvider = sinon.spy(() => Promise.resolve(`token-${++tokens}`));
+    });
+
+    it('should sign in with a token from the provider', async () => {
+      await firebaseService.connect({}, tokenProvider);
+
+      expect(tokenProvider).to.have.been.calledOnce;
+      expect(firebase.signInWithCustomToken).to.have.been.calledWith('token-1');
+    });
+
+    it('should sign in again with a fresh token when the auth state is lost', async () => {
+      const onTokenRefresh = sinon.spy();
+      firebaseService.onTokenRefresh(onTokenRefresh);
+      await firebaseService.connect({}, tokenProvider);
+
+      firebase.mockAuthStateChange(null);
+      await flushPromises();
+
+      expect(firebase.signInWithCustomToken).to.have.been.calledWith('token-2');
+      expect(onTokenRefresh).to.have.been.calledOnce;
+      expect(onTokenRefresh).to.have.been.calledWith({
+        reason: 'auth-state-lost',
+      });
+    });
+
+    it('should re-attach a listener cancelled due to a permission error', async () => {
+      const onTokenRefresh = sinon.spy();
+      const fn = sinon.spy();
+      firebaseService.onTokenRefresh(onTokenRefresh);
+      await firebaseService.connect({}, tokenProvider);
+      firebaseService.listenOnPath(path).when('value').call(fn);
+
+      firebase.fireMockCancel(
+        path,
+        'value',
+        firebase.createPermissionDeniedError(path),
+      );
+      await flushPromises();
+      await firebase.fireMockEvent(
+        path,
+        'value',
+        firebase.createMockFirebaseSnapshot(),
+      );
+
+      expect(firebase.signInWithCustomToken).to.have.been.calledWith('token-2');
+      expect(onTokenRefresh).to.have.been.calledOnce;
+      expect(onTokenRefresh).to.have.been.calledWith({
+        reason: 'permission-denied',
+      });
+      expect(fn).to.have.been.calledOnce;
+    });
+
+    it('should not re-authenticate again if a re-attached listener is cancelled right away', async () => {
+      await firebaseService.connect({}, tokenProvider);
+      firebaseService
+        .listenOnPath(path)
+        .when('value')
+        .call(() => {});
+
+      const error = firebase.createPermissionDeniedError(path);
+      firebase.fireMockCancel(path, 'value', error);
+      await flushPromises();
+      firebase.fireMockCancel(path, 'value', error);
+      await flushPromises();
+
+      expect(tokenProvider).to.have.been.calledTwice;
+    });
+
+    it('should not re-authenticate without a token provider', async () => {
+      await firebaseService.connect({}, 'authKey');
+      firebaseService
+        .listenOnPath(path)
+        .when('value')
+        .call(() => {});
+
+      firebase.fireMockCancel(
+        path,
+        'value',
+        firebase.createPermissionDeniedError(path),
+      );
+      firebase.mockAuthStateChange(null);
+      await flushPromises();
+
+      expect(firebase.signInWithCustomToken).to.have.been.calledOnce;
+    });
+
+    it('should stop watching the auth state upon termination', async () => {
+      await firebaseService.connect({}, tokenProvider);
+      await firebaseService.terminate();
+
+      firebase.mockAuthStateChange(null);
+      await flushPromises();
+
+      expect(tokenProvider).to.have.been.calledOnce;
+    });
+  });
+
+  describe('Server Time', () => {
+    const now = Date.now();
+    const serverTime = now - 1000 * 60 * 3;
+
+    beforeEach(() => {
+      sandbox.stub(Date, 'now').returns(now);
+    });
+
+    it('should support getting server time the set&get way by default', async () => {
+      await firebaseService.connect();
+      firebase.mockServerTime(serverTime);
+      const actual = await firebaseService.getFirebaseServerTime('/timestamp'); // TODO the firebaseMock shouldn't hardcode the timestamp path
+      expect(actual).to.equal(serverTime);
+      expect(firebase.spies.serverTimeSpy).to.have.been.calledOnce;
+    });
+
+    it('should support getting server time atomically via a flag', async () => {
+      firebaseService = new FirebaseService(undefined, {
+        atomicServerTime: true,
+      });
+      await firebaseService.connect();
+      firebase.mockServerTime(serverTime);
+      const actual = await firebaseService.getFirebaseServerTime();
+      expect(actual).to.equal(serverTime);
+      expect(firebase.spies.serverTimeSpy).to.not.have.been.called;
+    });
+
+    it('should read the server time synchronously from the server clock', async () => {
+      await firebaseService.connect();
+      const clock = firebaseService.serverClock();
+
+      expect(clock.synced).to.equal(false);
+      expect(clock.now()).to.equal(now);
+
+      firebase.mockServerTime(serverTime);
+
+      expect(clock.synced).to.equal(true);
+      expect(clock.offset).to.equal(serverTime - now);
+      expect(clock.now()).to.equal(serverTime);
+      expect(firebaseService.serverClock()).to.equal(clock);
+    });
+
+    it('should notify about server clock offset changes', async () => {
+      await firebaseService.connect();
+      const onChange = sinon.spy();
+      firebaseService.serverClock().onChange(onChange);
+
+      firebase.mockServerTime(serverTime);
+      firebase.mockServerTime(serverTime);
+      firebase.mockServerTime(serverTime + 50);
+
+      expect(onChange).to.have.been.calledTwice;
+      expect(onChange).to.have.been.calledWith(serverTime, serverTime - now);
+      expect(onChange).to.have.been.calledWith(
+        serverTime + 50,
+        serverTime + 50 - now,
+      );
+    });
+
+    it('should stop the server clock on disconnect', async () => {
+      await firebaseService.connect();
+      const clock = firebaseService.serverClock();
+      const onChange = sinon.spy();
+      clock.onChange(onChange);
+      firebase.mockServerTime(serverTime);
+
+      firebaseService.disconnect();
+      firebase.mockServerTime(serverTime + 50);
+
+      expect(onChange).to.have.been.calledOnce;
+      expect(clock.now()).to.equal(serverTime);
+      expect(firebase.spies.firebaseRefOffSpy).to.have.been.calledWith(
+        '/.info/serverTimeOffset',
+        'value',
+      );
+      expect(firebaseService.serverClock()).not.to.equal(clock);
+    });
+
+    it('should not create a server clock before connecting', () => {
+      expect(() => firebaseService.serverClock()).to.throw(
+        'FirebaseService.serverClock: not connected!',
+      );
+    });
+
+    describe('measuring', () => {
+      const offset = 5000;
+      let localTime;
+
+      // each sample's server timestamp is taken halfway through its round trip
+      const mockRoundTrips = (...rtts) => {
+        localTime = now;
+        Date.now.callsFake(() => localTime);
+        firebase.spies.serverTimeSpy.callsFake(() => {
+          const rtt = rtts.shift();
+          localTime += rtt / 2;
+          const timestamp = localTime + offset;
+          localTime += rtt / 2;
+          return timestamp;
+        });
+      };
+
+      [0, -1, 1.5].forEach((samples) => {
+        it(`should reject ${samples} samples`, async () => {
+          await firebaseService.connect();
+
+          const error = await callAndCatch(() =>
+            firebaseService.measureServerTime({ path: '/clock', samples }),
+          );
+
+          expect(error).to.be.an.instanceOf(
+            FirebaseService.InvalidArgumentError,
+          );
+          expect(error.code).to.equal('invalid-argument');
+          expect(error.message).to.equal(
+            `FirebaseService.measureServerTime: invalid argument, samples must be a positive integer (got ${samples})`,
+          );
+        });
+      });
+
+      [undefined, '', '/'].forEach((path) => {
+        [false, true].forEach((scratch) => {
+          it(`should reject the path ${path} without writing (scratch: ${scratch})`, async () => {
+            await firebaseService.connect();
+
+            const error = await callAndCatch(() =>
+              firebaseService.measureServerTime({ path, scratch }),
+            );
+
+            expect(error).to.be.an.instanceOf(
+              FirebaseService.InvalidArgumentError,
+            );
+            expect(error.message).to.equal(
+              `FirebaseService.measureServerTime: invalid argument, path must be a path below the root (got ${path})`,
+            );
+            expect(firebase.spies.serverTimeSpy).not.to.have.been.called;
+          });
+        });
+      });
+
+      it('should estimate the offset from the fastest sample, discarding outliers', async () => {
+        await firebaseService.connect();
+        mockRoundTrips(20, 22, 18, 200, 21);
+
+        const measurement = await firebaseService.measureServerTime({
+          path: '/clock',
+        });
+
+        expect(measurement).to.eql({
+          serverTime: localTime + offset,
+          offset,
+          rtt: 18,
+          confidence: 0.8,
+        });
+        expect(firebase.spies.serverTimeSpy).to.have.callCount(5);
+      });
+
+      it('should take the given number of samples', async () => {
+        await firebaseService.connect();
+        mockRoundTrips(10, 10);
+
+        const measurement = await firebaseService.measureServerTime({
+          path: '/clock',
+          samples: 2,
+        });
+
+        expect(measurement.confidence).to.equal(1);
+        expect(firebase.spies.serverTimeSpy).to.have.been.calledTwice;
+      });
+
+      it('should write to a per-instance scratch path removed on terminate', async () => {
+        await firebaseService.connect();
+        mockRoundTrips(10);
+
+        await firebaseService.measureServerTime({
+          path: '/clocks/',
+          scratch: true,
+          samples: 1,
+        });
+
+        const scratchPath = '/clocks/firebase-service-uut';
+        expect(firebase.getDataAtPath(scratchPath)).to.equal(now + 5 + offset);
+
+        await firebaseService.terminate();
+
+        expect(firebase.getDataAtPath(scratchPath)).to.equal(undefined);
+      });
+
+      it('should throw an error for measuring if not connected', () => {
+        expect(() =>
+          firebaseService.measureServerTime({ path: '/clock' }),
+        ).to.throw(
+          'FirebaseService.measureServerTime: not connected! (path=/clock)',
+        );
+      });
     });
 
     it('should throw an error for getting the server time if havent previously connected', async () => {
@@ -450,7 +3063,7 @@ describe('NEW (experimental) firebase service', () => {
       const errFn = () =>
         firebaseService.getFirebaseServerTime('/path/timestamp-mock');
       expect(errFn).to.throw(
-        'FirebaseService.getFirebaseServerTime: not connected! (path=timestamp-mock)',
+        'FirebaseService.getFirebaseServerTime: not connected! (path=/path/timestamp-mock)',
       );
     });
   });
@@ -477,7 +3090,7 @@ describe('NEW (experimental) firebase service', () => {
 
     const errFn = () => firebaseService.getValuesAtPath({ path });
     expect(errFn).to.throw(
-      'FirebaseService.getValuesAsPath: not connected! (path=some-path-with-values)',
+      'FirebaseService.getValuesAtPath: not connected! (path=/some-path-with-values)',
     );
   });
 
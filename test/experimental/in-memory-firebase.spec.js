@@ -0,0 +1,446 @@
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  createInMemoryFirebase,
+} = require('../../src/experimental/in-memory-firebase');
+const FirebaseService = require('../../src/experimental/firebase-service');
+
+const flushPromises = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('in-memory firebase', () => {
+  let firebase;
+  let db;
+
+  const connectClient = (name) => firebase.initializeApp({}, name).database();
+
+  beforeEach(() => {
+    firebase = createInMemoryFirebase({
+      data: {
+        rooms: {
+          b: { name: 'B', size: 2 },
+          a: { name: 'A', size: 3 },
+          c: { name: 'C', size: 1 },
+        },
+      },
+    });
+    db = connectClient('client');
+  });
+
+  describe('Data', () => {
+    it('should read the initial data', async () => {
+      const snapshot = await db.ref('rooms/a').once('value');
+
+      expect(snapshot.key).to.equal('a');
+      expect(snapshot.val()).to.eql({ name: 'A', size: 3 });
+      expect(snapshot.numChildren()).to.equal(2);
+    });
+
+    it('should store nested writes as a tree', async () => {
+      await db.ref('rooms/d').set({ name: 'D', tags: { x: true } });
+      await db.ref('rooms/d/tags/y').set(true);
+
+      expect(firebase.getDataAtPath('rooms/d')).to.eql({
+        name: 'D',
+        tags: { x: true, y: true },
+      });
+    });
+
+    it('should remove empty parents, like firebase', async () => {
+      await db.ref('rooms/a/name').remove();
+      await db.ref('rooms/a/size').set(null);
+
+      const snapshot = await db.ref('rooms/a').once('value');
+
+      expect(snapshot.exists()).to.equal(false);
+      expect(Object.keys(firebase.getDataAtPath('rooms'))).to.eql(['b', 'c']);
+    });
+
+    it('should apply multi-path updates atomically', async () => {
+      const callback = sinon.spy();
+      db.ref('rooms').on('value', callback);
+      await flushPromises();
+
+      await db.ref().update({ 'rooms/a/size': 4, 'rooms/b': null });
+
+      expect(callback).to.have.been.calledTwice;
+      expect(callback.secondCall.args[0].val()).to.eql({
+        a: { name: 'A', size: 4 },
+        c: { name: 'C', size: 1 },
+      });
+    });
+
+    it('should return objects with index keys as arrays', async () => {
+      await db.ref('list').set(['x', 'y']);
+
+      expect((await db.ref('list').once('value')).val()).to.eql(['x', 'y']);
+      expect(firebase.getDataAtPath('list/1')).to.equal('y');
+    });
+
+    it('should reject invalid keys', () => {
+      expect(() => db.ref('rooms/a.b')).to.throw(/invalid key/);
+      expect(() => db.ref('rooms').set({ 'a#': 1 })).to.throw(/invalid key/);
+    });
+
+    it('should resolve server values', async () => {
+      firebase = createInMemoryFirebase({ serverTimeOffset: 1000 });
+      db = connectClient('client');
+      const before = Date.now() + 1000;
+
+      await db.ref('time').set(firebase.database.ServerValue.TIMESTAMP);
+      await db.ref('count').set(firebase.database.ServerValue.increment(2));
+      await db.ref('count').set(firebase.database.ServerValue.increment(3));
+
+      expect(firebase.getDataAtPath('time')).to.be.within(
+        before,
+        Date.now() + 1000,
+      );
+      expect(firebase.getDataAtPath('count')).to.equal(5);
+    });
+
+    it('should push keys in chronological order', () => {
+      const keys = [1, 2, 3].map(() => db.ref('items').push(true).key);
+
+      expect(keys).to.have.length(3);
+      expect([...keys].sort()).to.eql(keys);
+      expect(keys[0]).to.have.length(20);
+    });
+
+    it('should resolve a push with a reference to the pushed value', async () => {
+      const ref = await db.ref('items').push('pushed');
+
+      expect(ref.then).to.equal(undefined);
+      expect(ref.toString()).to.match(/\/items\/[^/]{20}$/);
+      expect((await ref.once('value')).val()).to.equal('pushed');
+    });
+
+    it('should run transactions against the current value', async () => {
+      const result = await db
+        .ref('rooms/a/size')
+        .transaction((size) => size + 1);
+      const aborted = await db.ref('rooms/a/size').transaction(() => undefined);
+
+      expect(result.committed).to.equal(true);
+      expect(result.snapshot.val()).to.equal(4);
+      expect(aborted.committed).to.equal(false);
+    });
+  });
+
+  describe('Events', () => {
+    it('should fire the initial events asynchronously', async () => {
+      const onAdded = sinon.spy();
+      db.ref('rooms').on('child_added', onAdded);
+
+      expect(onAdded).not.to.have.been.called;
+
+      await flushPromises();
+
+      expect(
+        onAdded.args.map(([snapshot, previousKey]) => [
+          snapshot.key,
+          previousKey,
+        ]),
+      ).to.eql([
+        ['a', null],
+        ['b', 'a'],
+        ['c', 'b'],
+      ]);
+    });
+
+    it('should derive child events from writes', async () => {
+      const events = [];
+      ['child_added', 'child_changed', 'child_removed'].forEach((event) =>
+        db
+          .ref('rooms')
+          .on(event, (snapshot) => events.push([event, snapshot.key])),
+      );
+      await flushPromises();
+      events.length = 0;
+
+      await db.ref('rooms/d').set({ name: 'D' });
+      await db.ref('rooms/a/size').set(5);
+      await db.ref('rooms/b').remove();
+      await db.ref('rooms/c/size').set(1);
+
+      expect(events).to.eql([
+        ['child_added', 'd'],
+        ['child_changed', 'a'],
+        ['child_removed', 'b'],
+      ]);
+    });
+
+    it('should fire value events only when the value changes', async () => {
+      const callback = sinon.spy();
+      db.ref('rooms/a').on('value', callback);
+      await flushPromises();
+
+      await db.ref('rooms/a/size').set(3);
+      await db.ref('rooms/b/size').set(5);
+      await db.ref('rooms/a/size').set(4);
+
+      expect(callback).to.have.been.calledTwice;
+    });
+
+    it('should deliver writes of one client to the others', async () => {
+      const otherDb = connectClient('other-client');
+      const callback = sinon.spy();
+      otherDb.ref('rooms/a/name').on('value', callback);
+      await flushPromises();
+
+      await db.ref('rooms/a/name').set('Lobby');
+
+      expect(callback.lastCall.args[0].val()).to.equal('Lobby');
+    });
+
+    it('should stop firing after off', async () => {
+      const callback = sinon.spy();
+      const query = db.ref('rooms').orderByChild('size');
+      query.on('value', callback);
+      await flushPromises();
+
+      db.ref('rooms').off();
+      await db.ref('rooms/a/size').set(5);
+
+      expect(callback).to.have.been.calledOnce;
+    });
+  });
+
+  describe('Queries', () => {
+    const keysOf = (snapshot) => {
+      const keys = [];
+      snapshot.forEach((child) => {
+        keys.push(child.key);
+      });
+      return keys;
+    };
+
+    it('should order and limit by child', async () => {
+      const snapshot = await db
+        .ref('rooms')
+        .orderByChild('size')
+        .limitToLast(2)
+        .once('value');
+
+      expect(keysOf(snapshot)).to.eql(['b', 'a']);
+    });
+
+    it('should apply bounds, including falsy ones', async () => {
+      await db.ref('scores').set({ x: 0, y: 1, z: -1 });
+
+      const snapshot = await db
+        .ref('scores')
+        .orderByValue()
+        .startAt(0)
+        .once('value');
+
+      expect(keysOf(snapshot)).to.eql(['x', 'y']);
+    });
+
+    it('should break ties by key with startAfter(value, key)', async () => {
+      await db.ref('scores').set({ x: 1, y: 1, z: 1, w: 2 });
+
+      const snapshot = await db
+        .ref('scores')
+        .orderByValue()
+        .startAfter(1, 'x')
+        .limitToFirst(2)
+        .once('value');
+
+      expect(keysOf(snapshot)).to.eql(['y', 'z']);
+    });
+
+    it('should order integer keys numerically before other keys', async () => {
+      await db.ref('keys').set({ b: 1, 10: 1, 9: 1, a: 1 });
+
+      const snapshot = await db.ref('keys').orderByKey().once('value');
+
+      expect(keysOf(snapshot)).to.eql(['9', '10', 'a', 'b']);
+    });
+
+    it('should fire child_added and child_removed as children enter and leave a window', async () => {
+      const events = [];
+      const query = db.ref('rooms').orderByChild('size').limitToFirst(2);
+      query.on('child_added', (snapshot) =>
+        events.push(['added', snapshot.key]),
+      );
+      query.on('child_removed', (snapshot) =>
+        events.push(['removed', snapshot.key]),
+      );
+      await flushPromises();
+
+      await db.ref('rooms/a/size').set(0);
+
+      expect(events).to.eql([
+        ['added', 'c'],
+        ['added', 'b'],
+        ['removed', 'b'],
+        ['added', 'a'],
+      ]);
+    });
+
+    it('should fire child_moved when a child changes its position', async () => {
+      const callback = sinon.spy();
+      db.ref('rooms').orderByChild('size').on('child_moved', callback);
+      await flushPromises();
+
+      await db.ref('rooms/a/size').set(0);
+
+      expect(callback).to.have.been.calledOnce;
+      expect(callback.firstCall.args[0].key).to.equal('a');
+      expect(callback.firstCall.args[1]).to.equal(null);
+    });
+  });
+
+  describe('Connection', () => {
+    it('should report the connection state through .info/connected', async () => {
+      const callback = sinon.spy();
+      db.ref('.info/connected').on('value', callback);
+      await flushPromises();
+
+      db.goOffline();
+      db.goOnline();
+
+      expect(callback.args.map(([snapshot]) => snapshot.val())).to.eql([
+        true,
+        false,
+        true,
+      ]);
+    });
+
+    it('should run onDisconnect writes when going offline', async () => {
+      await db.ref('presence/me').onDisconnect().set('offline');
+      await db.ref('presence/other').onDisconnect().remove();
+      await db.ref('presence/other').onDisconnect().cancel();
+      await db.ref('presence/other').set('online');
+
+      db.goOffline();
+
+      expect(firebase.getDataAtPath('presence')).to.eql({
+        me: 'offline',
+        other: 'online',
+      });
+    });
+
+    it('should run onDisconnect writes when the network drops', async () => {
+      await db.ref('presence/me').onDisconnect().remove();
+      await db.ref('presence/me').set(true);
+
+      firebase.simulateNetworkDrop();
+
+      expect(firebase.getDataAtPath('presence')).to.equal(null);
+    });
+
+    it('should cancel listeners and reject access once it is denied', async () => {
+      const onCancel = sinon.spy();
+      db.ref('rooms/a').on('value', () => {}, onCancel);
+      await flushPromises();
+
+      firebase.denyAccess('rooms');
+
+      expect(onCancel).to.have.been.calledOnce;
+      expect(onCancel.firstCall.args[0].code).to.equal('PERMISSION_DENIED');
+      let error;
+      await db
+        .ref('rooms/b')
+        .set(1)
+        .catch((e) => (error = e));
+      expect(error.code).to.equal('PERMISSION_DENIED');
+    });
+  });
+
+  describe('FirebaseService', () => {
+    let firebaseService;
+
+    beforeEach(() => {
+      firebaseService = new FirebaseService('in-memory', {
+        firebase,
+        logger: { error: sinon.spy(), warn: sinon.spy() },
+      });
+    });
+
+    afterEach(() => firebaseService.terminate());
+
+    it('should connect and read', async () => {
+      await firebaseService.connect({}, 'some-user');
+      await flushPromises();
+
+      expect(firebaseService.getConnectionState()).to.equal('connected');
+      expect(
+        await firebaseService.getValuesAtPath({
+          path: 'rooms',
+          orderBy: 'size',
+          limitToFirst: 1,
+        }),
+      ).to.eql({ c: { name: 'C', size: 1 } });
+    });
+
+    it('should deliver writes to listeners', async () => {
+      await firebaseService.connect({}, 'some-user');
+      const callback = sinon.spy();
+      firebaseService
+        .listenOnPath('rooms')
+        .when('child_changed')
+        .call(callback);
+      await flushPromises();
+
+      await firebaseService.setValueAtPath('rooms/b/size', 5);
+
+      expect(callback).to.have.been.calledOnce;
+      expect(callback.firstCall.args[0]).to.include({
+        key: 'b',
+        exists: true,
+        childrenCount: 2,
+      });
+    });
+
+    it('should set its presence back when it goes offline', async () => {
+      await firebaseService.connect({}, 'some-user');
+      firebaseService.trackPresence('presence/some-user');
+      await flushPromises();
+
+      expect(firebase.getDataAtPath('presence/some-user')).to.equal(true);
+
+      firebaseService.disconnect();
+
+      expect(firebase.getDataAtPath('presence/some-user')).to.equal(null);
+    });
+
+    it("should not count firebase's first guess of a transaction as a retry", async () => {
+      await firebaseService.connect({}, 'some-user');
+      const increment = sinon.spy((size) => (size || 0) + 1);
+
+      const result = await firebaseService.runTransaction(
+        'rooms/a/size',
+        increment,
+        { maxRetries: 0 },
+      );
+
+      expect(increment.args.map(([size]) => size)).to.eql([null, 3]);
+      expect(result).to.eql({ committed: true, value: 4, retries: 0 });
+    });
+
+    it('should sign in as the uid of an unsigned emulator token', async () => {
+      await firebaseService.connect(
+        {},
+        { uid: 'zoë' },
+        { emulator: { authHost: 'localhost:9099' } },
+      );
+
+      expect(firebase.app('in-memory').auth().currentUser.uid).to.equal('zoë');
+    });
+
+    it('should surface permission errors of listeners', async () => {
+      await firebaseService.connect({}, 'some-user');
+      const onCancel = sinon.spy();
+      firebaseService
+        .listenOnPath('rooms', { onCancel })
+        .when('value')
+        .call(() => {});
+      await flushPromises();
+
+      firebase.denyAccess('rooms');
+
+      expect(onCancel).to.have.been.calledOnce;
+      expect(onCancel.firstCall.args[0].code).to.equal('permission-denied');
+    });
+  });
+});
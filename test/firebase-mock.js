@@ -5,16 +5,27 @@ const sinonChai = require('sinon-chai');
 chai.use(sinonChai);
 
 function firebaseMockF({ TIMESTAMP_PATH = '/timestamp' } = {}) {
-  const firebaseRefOffSpy = sinon.stub().callsFake((path) => {
-    _callbacks[path] = {};
+  const firebaseRefOffSpy = sinon.stub().callsFake((path, event, cb) => {
+    if (!event) {
+      _callbacks[path] = {};
+    } else if (_callbacks[path] && _callbacks[path][event]) {
+      _callbacks[path][event] = cb
+        ? _callbacks[path][event].filter((listener) => listener.cb !== cb)
+        : [];
+    }
   });
   const firebaseRefOnSpy = sinon.stub();
   const serverTimeMock = sinon.stub().callsFake(() => new Date());
 
   const _callbacks = {};
   const _onDisconnectMethods = [];
+  const _authStateObservers = [];
   let _serverTime;
-  const _data = { '/.info/serverTimeOffset': 12345678 };
+  let _connected = true;
+  const CONNECTED_PATH = '/.info/connected';
+  const SERVER_TIME_OFFSET_PATH = '/.info/serverTimeOffset';
+  const DATABASE_URL = 'https://mock-database.firebaseio.com/';
+  const _data = { [SERVER_TIME_OFFSET_PATH]: 12345678 };
 
   const getDataAtPath = (path) => _data[path];
 
@@ -22,67 +33,276 @@ function firebaseMockF({ TIMESTAMP_PATH = '/timestamp' } = {}) {
     _data[path] = data;
   };
 
-  const createMockOnDisconnect = (ref) => {
+  const removeDataAtPath = (path) => {
+    delete _data[path];
+  };
+
+  const joinPaths = (path, childPath) =>
+    `${path.replace(/\/$/, '')}/${childPath.replace(/^\//, '')}`;
+
+  let _pushCounter = 0;
+
+  // errors that reads and writes of a path fail with, e.g. due to security rules
+  const _errors = {};
+
+  const isOrdered = ({ orderByChild, orderByKey, orderByValue }) =>
+    orderByChild !== undefined || orderByKey || orderByValue;
+
+  const getOrderValue = (options, key, value) => {
+    if (options.orderByKey) {
+      return key;
+    }
+    if (options.orderByValue) {
+      return value;
+    }
+    return value && value[options.orderByChild];
+  };
+
+  const matchesQuery = (options, key, value) => {
+    if (!isOrdered(options)) {
+      return true;
+    }
+
+    const { startAt, startAfter, endAt, endBefore, equalTo } = options;
+    const orderValue = getOrderValue(options, key, value);
+    const isSet = (bound) => bound !== undefined;
+    return (
+      (!isSet(startAt) || orderValue >= startAt) &&
+      (!isSet(startAfter) || orderValue > startAfter) &&
+      (!isSet(endAt) || orderValue <= endAt) &&
+      (!isSet(endBefore) || orderValue < endBefore) &&
+      (!isSet(equalTo) || orderValue === equalTo)
+    );
+  };
+
+  const applyQueryToData = (options, data) => {
+    const { limitToFirst, limitToLast } = options;
+    if (!data || typeof data !== 'object' || !isOrdered(options)) {
+      return data;
+    }
+
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    let keys = Object.keys(data)
+      .filter((key) => matchesQuery(options, key, data[key]))
+      .sort(
+        (a, b) =>
+          compare(
+            getOrderValue(options, a, data[a]),
+            getOrderValue(options, b, data[b]),
+          ) || compare(a, b),
+      );
+    if (limitToFirst !== undefined) {
+      keys = keys.slice(0, limitToFirst);
+    }
+    if (limitToLast !== undefined) {
+      keys = keys.slice(-limitToLast);
+    }
+    return keys.reduce((result, key) => ({ ...result, [key]: data[key] }), {});
+  };
+
+  // values other (simulated) clients write to a path while a transaction on it is in flight
+  const _conflictingWrites = {};
+  const MAX_TRANSACTION_ATTEMPTS = 25; // same as the firebase sdk
+
+  const createMockOnDisconnect = (ref, path) => {
+    const queue = (fn) => {
+      _onDisconnectMethods.push({ path, fn });
+      return Promise.resolve();
+    };
     return {
-      set(value) {
-        _onDisconnectMethods.push(() => ref.set(value));
+      set: (value) => queue(() => ref.set(value)),
+      update: (values) => queue(() => ref.update(values)),
+      remove: () => queue(() => ref.remove()),
+      cancel: () => {
+        const remaining = _onDisconnectMethods.filter(
+          (method) => method.path !== path,
+        );
+        _onDisconnectMethods.splice(0, Infinity, ...remaining);
+        return Promise.resolve();
       },
     };
   };
 
   const createMockFirebaseRef = (path = '') => ({
+    key: path.split('/').pop() || null,
+    root: { toString: () => DATABASE_URL },
+    toString: () => `${DATABASE_URL}${path.replace(/^\//, '')}`,
     get on() {
-      return firebaseRefOnSpy.callsFake((event, cb) => {
+      return firebaseRefOnSpy.callsFake((event, cb, cancelCb) => {
+        const listeners = (_callbacks[path] && _callbacks[path][event]) || [];
         _callbacks[path] = {
           ..._callbacks[path],
-          [event]: {
-            cb,
-            options: this._options,
-          },
+          [event]: [...listeners, { cb, cancelCb, options: this._options }],
         };
+        if (path === CONNECTED_PATH && event === 'value') {
+          cb(createMockFirebaseSnapshot(_connected));
+        }
       });
     },
     _options: {},
-    off: () => firebaseRefOffSpy(path),
+    off: (event, cb) => firebaseRefOffSpy(path, event, cb),
     orderByChild(child) {
-      Object.assign(this._options, {
-        orderByChild: child,
-      });
-      return this;
+      return this._withOption('orderByChild', child);
+    },
+    orderByKey() {
+      return this._withOption('orderByKey', true);
+    },
+    orderByValue() {
+      return this._withOption('orderByValue', true);
     },
     startAt(value) {
-      Object.assign(this._options, {
-        startAt: value,
-      });
+      return this._withOption('startAt', value);
+    },
+    startAfter(value) {
+      return this._withOption('startAfter', value);
+    },
+    endAt(value) {
+      return this._withOption('endAt', value);
+    },
+    endBefore(value) {
+      return this._withOption('endBefore', value);
+    },
+    equalTo(value) {
+      return this._withOption('equalTo', value);
+    },
+    limitToFirst(limit) {
+      return this._withOption('limitToFirst', limit);
+    },
+    limitToLast(limit) {
+      return this._withOption('limitToLast', limit);
+    },
+    _withOption(option, value) {
+      Object.assign(this._options, { [option]: value });
       return this;
     },
-    once: (arg) => {
+    once(arg) {
+      if (_errors[path]) {
+        return Promise.reject(_errors[path]);
+      }
       if (path === TIMESTAMP_PATH && arg === 'value') {
         return Promise.resolve(createMockFirebaseSnapshot(_serverTime));
       }
-      return Promise.resolve(createMockFirebaseSnapshot(getDataAtPath(path)));
+      return Promise.resolve(
+        createMockFirebaseSnapshot(
+          applyQueryToData(this._options, getDataAtPath(path)),
+        ),
+      );
     },
     set: (value) => {
+      if (_errors[path]) {
+        return Promise.reject(_errors[path]);
+      }
       if (path === TIMESTAMP_PATH) {
         return Promise.resolve().then(() => (_serverTime = value));
       } else {
         setDataAtPath(path, value);
+        return Promise.resolve();
+      }
+    },
+    update: (values) => {
+      // keys containing a slash are written to their own (flat) path, like a multi-path update
+      const merged = {};
+      Object.keys(values).forEach((key) => {
+        if (key.includes('/')) {
+          setDataAtPath(joinPaths(path, key), values[key]);
+        } else {
+          merged[key] = values[key];
+        }
+      });
+      if (Object.keys(merged).length) {
+        setDataAtPath(path, { ...getDataAtPath(path), ...merged });
       }
+      return Promise.resolve();
+    },
+    push: () =>
+      createMockFirebaseRef(joinPaths(path, `push-key-${++_pushCounter}`)),
+    remove: () => {
+      removeDataAtPath(path);
+      return Promise.resolve();
+    },
+    transaction: (transactionUpdate) => {
+      for (let attempt = 0; attempt < MAX_TRANSACTION_ATTEMPTS; attempt++) {
+        const newValue = transactionUpdate(getDataAtPath(path));
+        if (newValue === undefined) {
+          return Promise.resolve({
+            committed: false,
+            snapshot: createMockFirebaseSnapshot(getDataAtPath(path)),
+          });
+        }
+
+        const conflictingWrites = _conflictingWrites[path] || [];
+        if (!conflictingWrites.length) {
+          setDataAtPath(path, newValue);
+          return Promise.resolve({
+            committed: true,
+            snapshot: createMockFirebaseSnapshot(newValue),
+          });
+        }
+        setDataAtPath(path, conflictingWrites.shift());
+      }
+      return Promise.reject(new Error('maxretry'));
     },
     onDisconnect() {
-      return createMockOnDisconnect(this);
+      return createMockOnDisconnect(this, path);
     },
   });
 
-  const createMockFirebaseSnapshot = (valResult, keyResult, refPath) => ({
-    val: () => valResult,
-    key: keyResult,
-    ref: createMockFirebaseRef(refPath),
-  });
+  const createMockFirebaseSnapshot = (
+    valResult,
+    keyResult,
+    refPath,
+    priority = null,
+  ) => {
+    const children =
+      valResult && typeof valResult === 'object' ? Object.keys(valResult) : [];
+    return {
+      val: () => valResult,
+      key: keyResult,
+      ref: createMockFirebaseRef(refPath),
+      exists: () => valResult !== undefined && valResult !== null,
+      numChildren: () => children.length,
+      getPriority: () => priority,
+      forEach: (action) =>
+        children.some((key) =>
+          action(
+            createMockFirebaseSnapshot(
+              valResult[key],
+              key,
+              refPath && joinPaths(refPath, key),
+            ),
+          ),
+        ),
+      child: (path) => {
+        const keys = path.split('/').filter(Boolean);
+        return createMockFirebaseSnapshot(
+          keys.reduce(
+            (value, key) =>
+              value && typeof value === 'object' && value[key] !== undefined
+                ? value[key]
+                : null,
+            valResult,
+          ),
+          keys[keys.length - 1],
+          refPath && joinPaths(refPath, path),
+        );
+      },
+    };
+  };
+
+  // like the real /.info/connected, it changes whenever the network (or goOffline/goOnline) does
+  const simulateNetworkState = (connected) => {
+    _connected = connected;
+    firebaseMock.fireMockEvent(
+      CONNECTED_PATH,
+      'value',
+      createMockFirebaseSnapshot(connected),
+    );
+  };
 
   const databaseSpy = {
-    goOffline: sinon.stub(),
-    goOnline: sinon.stub(),
+    goOffline: sinon.stub().callsFake(() => simulateNetworkState(false)),
+    goOnline: sinon.stub().callsFake(() => simulateNetworkState(true)),
+    useEmulator: sinon.stub(),
   };
 
   const firebaseMock = {
@@ -94,7 +314,18 @@ function firebaseMockF({ TIMESTAMP_PATH = '/timestamp' } = {}) {
       return this;
     }),
     setPersistence: sinon.stub().resolves(),
+    useEmulator: sinon.stub(),
     signInWithCustomToken: sinon.stub().callsFake(() => Promise.resolve()),
+    signInAnonymously: sinon.stub().callsFake(() => Promise.resolve()),
+    signInWithEmailAndPassword: sinon.stub().callsFake(() => Promise.resolve()),
+    onAuthStateChanged: sinon.stub().callsFake((observer) => {
+      _authStateObservers.push(observer);
+      return () =>
+        _authStateObservers.splice(_authStateObservers.indexOf(observer), 1);
+    }),
+    mockAuthStateChange: (user) => {
+      _authStateObservers.forEach((observer) => observer(user));
+    },
     database: sinon.stub().callsFake(() => ({
       ref: (path) => createMockFirebaseRef(path),
       app: firebaseMock,
@@ -102,14 +333,25 @@ function firebaseMockF({ TIMESTAMP_PATH = '/timestamp' } = {}) {
     })),
     createMockFirebaseSnapshot,
     fireMockEvent: (path, event, snapshot) => {
-      if (_callbacks[path] && _callbacks[path][event]) {
-        const { cb, options } = _callbacks[path][event];
-        const { startAt, orderByChild } = options;
-        const optionsAreNotSet = !startAt || !orderByChild;
-        if (optionsAreNotSet || snapshot.val()[orderByChild] >= startAt) {
-          cb(snapshot);
-        }
-      }
+      const listeners = (_callbacks[path] && _callbacks[path][event]) || [];
+      listeners
+        .filter(({ options }) =>
+          matchesQuery(options, snapshot.key, snapshot.val()),
+        )
+        .forEach(({ cb }) => cb(snapshot));
+    },
+    createPermissionDeniedError: (path) =>
+      Object.assign(
+        new Error(
+          `permission_denied at ${path}: Client doesn't have permission to access the desired data.`,
+        ),
+        { code: 'PERMISSION_DENIED' },
+      ),
+    // like firebase, a cancelled listener is removed and won't receive further events
+    fireMockCancel: (path, event, error) => {
+      const listeners = (_callbacks[path] && _callbacks[path][event]) || [];
+      _callbacks[path][event] = [];
+      listeners.forEach(({ cancelCb }) => cancelCb && cancelCb(error));
     },
     spies: {
       firebaseRefOffSpy,
@@ -120,11 +362,23 @@ function firebaseMockF({ TIMESTAMP_PATH = '/timestamp' } = {}) {
     setDataAtPath,
     getDataAtPath,
     mockServerTime: (time) => {
-      _data['/.info/serverTimeOffset'] = time - Date.now();
+      _data[SERVER_TIME_OFFSET_PATH] = time - Date.now();
       serverTimeMock.callsFake(() => time);
+      firebaseMock.fireMockEvent(
+        SERVER_TIME_OFFSET_PATH,
+        'value',
+        createMockFirebaseSnapshot(_data[SERVER_TIME_OFFSET_PATH]),
+      );
+    },
+    simulateErrorAtPath: (path, error) => {
+      _errors[path] = error;
+    },
+    simulateNetworkState,
+    simulateTransactionContention: (path, ...conflictingValues) => {
+      _conflictingWrites[path] = conflictingValues;
     },
     mockDisconnect: () => {
-      _onDisconnectMethods.forEach((fn) => fn());
+      _onDisconnectMethods.forEach(({ fn }) => fn());
       _onDisconnectMethods.length = 0;
     },
   };
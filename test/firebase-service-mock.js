@@ -4,7 +4,7 @@ function firebaseServiceWithMockFirebase(firebaseMock) {
   const FirebaseService = proxyquire.noCallThru()('../src/firebase-service', {
     'firebase/compat/app': firebaseMock,
     'firebase/compat/auth': {},
-    'firebase/database': {},
+    'firebase/compat/database': {},
   });
   return new FirebaseService();
 }
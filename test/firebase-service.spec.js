@@ -3,14 +3,25 @@ const { firebaseServiceWithMockFirebase } = require('./firebase-service-mock');
 const { expect, assert } = require('chai');
 const sinon = require('sinon');
 
-let firebaseService, firebase;
+let firebaseService, firebase, warnFn;
 
 describe('firebase service', () => {
   beforeEach(() => {
+    warnFn = sinon.stub(console, 'warn');
     firebase = firebaseMock();
     firebaseService = new firebaseServiceWithMockFirebase(firebase);
   });
 
+  afterEach(() => warnFn.restore());
+
+  it('should warn once that it is deprecated', () => {
+    const FirebaseService = firebaseService.constructor;
+    new FirebaseService(); // eslint-disable-line no-new
+
+    expect(warnFn).to.have.been.calledOnce;
+    expect(warnFn.firstCall.args[0]).to.contain('is deprecated');
+  });
+
   it('should be able to connect to firebase', async () => {
     const options = {
       prop: 'val',
@@ -179,6 +190,48 @@ describe('firebase service', () => {
     errorFn.restore();
   });
 
+  it('should report errors of callbacks to the given onListenerError', async () => {
+    const onListenerError = sinon.spy();
+    const listenerError = new Error('An error occurred');
+    firebaseService = new firebaseService.constructor({ onListenerError });
+    await firebaseService.connect();
+    firebaseService
+      .listenOnPath('whatever')
+      .when('event')
+      .call(() => {
+        throw listenerError;
+      });
+
+    await firebase.fireMockEvent(
+      'whatever',
+      'event',
+      firebase.createMockFirebaseSnapshot(),
+    );
+
+    expect(onListenerError).to.have.been.calledOnce;
+    expect(onListenerError.firstCall.args[0]).to.equal(listenerError);
+  });
+
+  it('should log errors of callbacks of the static api with the configured logger', async () => {
+    const FirebaseService = firebaseService.constructor;
+    const logger = { error: sinon.spy(), warn: sinon.spy() };
+    FirebaseService.configure({ logger });
+    await FirebaseService.connect();
+    FirebaseService.listenOnPath('whatever')
+      .when('event')
+      .call(() => Promise.reject('An error occurred'));
+
+    await firebase.fireMockEvent(
+      'whatever',
+      'event',
+      firebase.createMockFirebaseSnapshot(),
+    );
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(logger.error).to.have.been.calledWith('An error occurred');
+    FirebaseService.terminate();
+  });
+
   it('should support disconnecting', async () => {
     await firebaseService.connect();
     const fn = sinon.spy();
@@ -291,6 +344,25 @@ describe('firebase service', () => {
     expect(fn).to.have.been.calledTwice;
   });
 
+  it('should treat startAt null as no bound when listening on a path', async () => {
+    await firebaseService.connect();
+    const fn = sinon.spy();
+    firebaseService
+      .listenOnPath('whatever', { orderBy: 'rank', startAt: null })
+      .when('event')
+      .call(fn);
+
+    await firebase.fireMockEvent(
+      'whatever',
+      'event',
+      firebase.createMockFirebaseSnapshot({ rank: -1 }),
+    );
+    expect(fn).to.have.been.calledOnce;
+    expect(firebase.spies.firebaseRefOnSpy.lastCall.thisValue._options).to.eql({
+      orderByChild: 'rank',
+    });
+  });
+
   it('should stay disconnected if disconnected abruptly amidst connection establishment', async () => {
     let resolveProxy = null;
     firebase.initializeApp = sinon.stub().returns(
@@ -314,6 +386,72 @@ describe('firebase service', () => {
     expect(firebaseService.isConnected()).to.equal(true);
   });
 
+  it('should reuse its firebase app when reconnecting', async () => {
+    await firebaseService.connect({ prop: 'val' }, 'authKey');
+    firebaseService.disconnect();
+    await firebaseService.connect({ prop: 'val' }, 'authKey');
+
+    expect(firebase.initializeApp).to.have.been.calledOnce;
+    expect(firebase.spies.databaseSpy.goOnline).to.have.been.calledOnce;
+  });
+
+  it('should start over with a new firebase app when connecting with other options', async () => {
+    await firebaseService.connect({ prop: 'val' }, 'authKey');
+    await firebaseService.connect({ prop: 'other-val' }, 'authKey');
+
+    expect(firebase.delete).to.have.been.calledOnce;
+    expect(firebase.initializeApp).to.have.been.calledTwice;
+    expect(firebaseService.isConnected()).to.equal(true);
+  });
+
+  it('should sign in again and keep its listeners when connecting with another auth key', async () => {
+    const callback = sinon.spy();
+    await firebaseService.connect({ prop: 'val' }, 'authKey');
+    firebaseService.listenOnPath('whatever').when('event').call(callback);
+
+    await firebaseService.connect({ prop: 'val' }, 'refreshed-authKey');
+    await firebase.fireMockEvent(
+      'whatever',
+      'event',
+      firebase.createMockFirebaseSnapshot(),
+    );
+
+    expect(firebase.signInWithCustomToken).to.have.been.calledWith(
+      'refreshed-authKey',
+    );
+    expect(firebase.initializeApp).to.have.been.calledOnce;
+    expect(firebase.delete).not.to.have.been.called;
+    expect(callback).to.have.been.calledOnce;
+  });
+
+  it('should log with the configured logger when starting over', async () => {
+    const FirebaseService = firebaseService.constructor;
+    const logger = { error: sinon.spy(), warn: sinon.spy() };
+    const deleteError = new Error('delete fail mock');
+    firebase.delete.returns(Promise.reject(deleteError));
+    FirebaseService.configure({ logger });
+
+    await FirebaseService.connect({ prop: 'val' }, 'authKey');
+    await FirebaseService.connect({ prop: 'other-val' }, 'authKey');
+
+    expect(logger.warn).to.have.been.calledOnce;
+    expect(logger.warn.firstCall.args[0]).to.contain('is deprecated');
+    expect(logger.error).to.have.been.calledWith(deleteError);
+    FirebaseService.terminate();
+  });
+
+  it('should delete its firebase app on terminate and start over on the next connect', async () => {
+    await firebaseService.connect();
+    firebaseService.terminate();
+
+    expect(firebase.delete).to.have.been.calledOnce;
+    expect(firebaseService.isConnected()).to.equal(false);
+
+    await firebaseService.connect();
+    expect(firebase.initializeApp).to.have.been.calledTwice;
+    expect(firebaseService.isConnected()).to.equal(true);
+  });
+
   it('should support disconnecting via equivalent api - terminate()', async () => {
     await firebaseService.connect();
     const fn = sinon.spy();